@@ -0,0 +1,136 @@
+// lib/artifact-registry.js
+// Registry of served working directories under tmp/
+// - every workdir (upload, conversion, package) is registered with an expiry
+// - /files/:id/:name resolves through here instead of one express.static mount per id
+// - janitor removes expired workdirs and orphans (anything in tmp/ nobody registered)
+// - table persisted to disk so a restart neither loses live artifacts nor leaks old ones
+import fs from "fs/promises";
+import fsSync from "fs";
+import path from "path";
+
+/**
+ * @param {object} opts
+ * @param {string} opts.root           directory holding the workdirs (tmp/)
+ * @param {string} opts.stateFile      json file the table is persisted to
+ * @param {string[]} [opts.keep]       entries in root that are never swept (state files, profiles, ...)
+ * @param {number} [opts.defaultTtlMs=1800000]
+ * @param {number} [opts.orphanGraceMs=3600000] unregistered entries younger than this survive the periodic sweep
+ *        (multer writes uploads straight into root)
+ */
+export function createArtifactRegistry(opts) {
+    const {
+        root,
+        stateFile,
+        keep = [],
+        defaultTtlMs = 1000 * 60 * 30,
+        orphanGraceMs = 1000 * 60 * 60
+    } = opts;
+
+    const artifacts = new Map(); // id -> { id, dir, expiresAt }
+    const keepNames = new Set([path.basename(stateFile), path.basename(stateFile) + ".tmp", ...keep]);
+
+    let saveChain = Promise.resolve();
+    function persist() {
+        const snapshot = JSON.stringify([...artifacts.values()], null, 2);
+        saveChain = saveChain
+            .then(() => fs.writeFile(stateFile + ".tmp", snapshot, "utf8"))
+            .then(() => fs.rename(stateFile + ".tmp", stateFile))
+            .catch((err) => console.error("Artifact registry persist error:", err));
+        return saveChain;
+    }
+
+    // (re)register a workdir; registering an existing id extends its expiry
+    function register(id, dir, ttlMs = defaultTtlMs) {
+        const artifact = { id, dir, expiresAt: Date.now() + ttlMs };
+        artifacts.set(id, artifact);
+        persist();
+        return artifact;
+    }
+
+    async function remove(id) {
+        const artifact = artifacts.get(id);
+        if (!artifact) return;
+        artifacts.delete(id);
+        persist();
+        await fs.rm(artifact.dir, { recursive: true, force: true }).catch(() => { });
+    }
+
+    // absolute path of a top-level file inside a live artifact, or null
+    function resolve(id, name) {
+        const artifact = artifacts.get(id);
+        if (!artifact || artifact.expiresAt <= Date.now()) return null;
+        if (!name || name !== path.basename(name) || name.startsWith(".")) return null;
+        const filePath = path.join(artifact.dir, name);
+        try {
+            if (!fsSync.statSync(filePath).isFile()) return null;
+        } catch {
+            return null;
+        }
+        return filePath;
+    }
+
+    function isRegisteredDir(fullPath) {
+        for (const a of artifacts.values()) {
+            if (path.resolve(a.dir) === fullPath) return true;
+        }
+        return false;
+    }
+
+    // remove expired artifacts, then unregistered entries of root older than graceMs
+    async function sweep(graceMs = orphanGraceMs) {
+        const now = Date.now();
+        let removed = 0;
+        for (const artifact of [...artifacts.values()]) {
+            if (artifact.expiresAt <= now) {
+                await remove(artifact.id);
+                removed++;
+            }
+        }
+
+        let names = [];
+        try { names = await fs.readdir(root); } catch { return removed; }
+        for (const name of names) {
+            if (keepNames.has(name)) continue;
+            const fullPath = path.resolve(root, name);
+            if (isRegisteredDir(fullPath)) continue;
+            try {
+                const stat = await fs.stat(fullPath);
+                if (now - stat.mtimeMs < graceMs) continue;
+                await fs.rm(fullPath, { recursive: true, force: true });
+                removed++;
+            } catch { /* vanished meanwhile */ }
+        }
+        return removed;
+    }
+
+    // load the persisted table and clear everything a previous run left behind
+    async function restore() {
+        try {
+            const saved = JSON.parse(await fs.readFile(stateFile, "utf8"));
+            for (const a of saved) {
+                if (fsSync.existsSync(a.dir)) artifacts.set(a.id, a);
+            }
+        } catch (err) {
+            if (err.code !== "ENOENT") console.warn("Artifact registry state unreadable, starting empty:", err.message);
+        }
+        // nothing is mid-upload yet, so orphans of any age go
+        const removed = await sweep(0);
+        await persist();
+        return removed;
+    }
+
+    // periodic janitor; returns the interval handle
+    function startJanitor(intervalMs = 1000 * 60) {
+        const timer = setInterval(() => {
+            sweep().catch((err) => console.error("Janitor error:", err));
+        }, intervalMs);
+        timer.unref();
+        return timer;
+    }
+
+    function stats() {
+        return { artifacts: artifacts.size };
+    }
+
+    return { register, remove, resolve, sweep, restore, startJanitor, stats };
+}
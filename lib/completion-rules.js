@@ -0,0 +1,58 @@
+// lib/completion-rules.js
+// Validation of the package-level completion rules (config.completion), evaluated in the
+// player by public/js/completion-rules.js
+//
+//   completion: {
+//     minPagesPercent: 100,     // share of pages that must be viewed
+//     minPageSeconds: 0,        // a page only counts as viewed after staying on screen this long
+//     minSessionSeconds: 0,     // total time in the document, summed over sessions
+//     requiredPages: [],        // pages that must be viewed whatever the percentage
+//     quizzes: "answered",      // "none" | "answered" | "passed" (score >= mastery score)
+//     media: "none"             // "none" | "finished": every slide narration played to the end (lib/slide-media.js)
+//   }
+
+export const QUIZ_RULES = ["none", "answered", "passed"];
+export const MEDIA_RULES = ["none", "finished"];
+export const DEFAULT_COMPLETION_RULES = {
+    minPagesPercent: 100,
+    minPageSeconds: 0,
+    minSessionSeconds: 0,
+    requiredPages: [],
+    quizzes: "answered",
+    media: "none"
+};
+
+function numberIn(value, fallback, min, max, name) {
+    if (value === undefined || value === null || value === "") return fallback;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max) throw new Error(`completion.${name} must be between ${min} and ${max}`);
+    return n;
+}
+
+/**
+ * @param {any} input  config.completion from the request body
+ * @returns {object} rules with every field set
+ * @throws {Error} with a message suitable for a 400 response
+ */
+export function normalizeCompletionRules(input) {
+    if (input === undefined || input === null) return { ...DEFAULT_COMPLETION_RULES };
+    if (typeof input !== "object" || Array.isArray(input)) throw new Error("completion must be an object");
+
+    const requiredPages = input.requiredPages === undefined ? [] : input.requiredPages;
+    if (!Array.isArray(requiredPages) || !requiredPages.every(p => Number.isInteger(p) && p >= 1)) {
+        throw new Error("completion.requiredPages must be a list of page numbers");
+    }
+    const quizzes = input.quizzes === undefined ? DEFAULT_COMPLETION_RULES.quizzes : input.quizzes;
+    if (!QUIZ_RULES.includes(quizzes)) throw new Error(`completion.quizzes must be one of ${QUIZ_RULES.join(", ")}`);
+    const media = input.media === undefined ? DEFAULT_COMPLETION_RULES.media : input.media;
+    if (!MEDIA_RULES.includes(media)) throw new Error(`completion.media must be one of ${MEDIA_RULES.join(", ")}`);
+
+    return {
+        minPagesPercent: numberIn(input.minPagesPercent, DEFAULT_COMPLETION_RULES.minPagesPercent, 0, 100, "minPagesPercent"),
+        minPageSeconds: numberIn(input.minPageSeconds, DEFAULT_COMPLETION_RULES.minPageSeconds, 0, 3600, "minPageSeconds"),
+        minSessionSeconds: numberIn(input.minSessionSeconds, DEFAULT_COMPLETION_RULES.minSessionSeconds, 0, 24 * 3600, "minSessionSeconds"),
+        requiredPages: [...new Set(requiredPages)].sort((a, b) => a - b),
+        quizzes,
+        media
+    };
+}
@@ -0,0 +1,130 @@
+// lib/conversion-cache.js
+// On-disk cache of converted PDFs
+// - entries keyed by SHA-256 of the source bytes: <dir>/<sha>.pdf
+// - remote sources additionally map url -> { etag, lastModified, sha } so /render can
+//   skip the download when the upstream validators have not changed
+// - size-bounded, least-recently-used entries are evicted first
+// - index.json keeps the table across restarts
+import crypto from "crypto";
+import fs from "fs/promises";
+import fsSync from "fs";
+import path from "path";
+
+// sha-256 (hex) of a file, streamed
+export function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256");
+        fsSync.createReadStream(filePath)
+            .on("error", reject)
+            .on("data", (d) => hash.update(d))
+            .on("end", () => resolve(hash.digest("hex")));
+    });
+}
+
+// ETag / Last-Modified of a fetch Response (or Headers)
+export function validatorsOf(resp) {
+    const headers = resp.headers || resp;
+    return {
+        etag: headers.get("etag") || null,
+        lastModified: headers.get("last-modified") || null
+    };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir
+ * @param {number} opts.maxBytes
+ */
+export async function createConversionCache({ dir, maxBytes }) {
+    const indexFile = path.join(dir, "index.json");
+    await fs.mkdir(dir, { recursive: true });
+
+    let entries = {};  // sha -> { size, lastUsed }
+    let urls = {};     // url -> { etag, lastModified, sha }
+    try {
+        const saved = JSON.parse(await fs.readFile(indexFile, "utf8"));
+        entries = saved.entries || {};
+        urls = saved.urls || {};
+    } catch (err) {
+        if (err.code !== "ENOENT") console.warn("Conversion cache index unreadable, starting empty:", err.message);
+    }
+
+    const entryPath = (sha) => path.join(dir, `${sha}.pdf`);
+
+    // drop entries whose file vanished (manual cleanup, crash during put)
+    for (const sha of Object.keys(entries)) {
+        if (!fsSync.existsSync(entryPath(sha))) delete entries[sha];
+    }
+    for (const url of Object.keys(urls)) {
+        if (!entries[urls[url].sha]) delete urls[url];
+    }
+
+    let saveChain = Promise.resolve();
+    function persist() {
+        const snapshot = JSON.stringify({ entries, urls });
+        saveChain = saveChain
+            .then(() => fs.writeFile(indexFile + ".tmp", snapshot, "utf8"))
+            .then(() => fs.rename(indexFile + ".tmp", indexFile))
+            .catch((err) => console.error("Conversion cache persist error:", err));
+        return saveChain;
+    }
+
+    function totalBytes() {
+        return Object.values(entries).reduce((sum, e) => sum + e.size, 0);
+    }
+
+    async function evict() {
+        const byAge = Object.entries(entries).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+        let total = totalBytes();
+        for (const [sha, entry] of byAge) {
+            if (total <= maxBytes) break;
+            delete entries[sha];
+            total -= entry.size;
+            await fs.rm(entryPath(sha), { force: true }).catch(() => { });
+        }
+        for (const url of Object.keys(urls)) {
+            if (!entries[urls[url].sha]) delete urls[url];
+        }
+    }
+
+    // path of the cached pdf (and mark it recently used), or null
+    function get(sha) {
+        const entry = entries[sha];
+        if (!entry) return null;
+        entry.lastUsed = Date.now();
+        persist();
+        return entryPath(sha);
+    }
+
+    async function put(sha, pdfPath) {
+        const { size } = await fs.stat(pdfPath);
+        if (size > maxBytes) return;
+        await fs.copyFile(pdfPath, entryPath(sha));
+        entries[sha] = { size, lastUsed: Date.now() };
+        await evict();
+        await persist();
+    }
+
+    // sha of a previous download of `url`, if its validators still match
+    function lookupUrl(url, validators) {
+        const known = urls[url];
+        if (!known || !entries[known.sha]) return null;
+        const { etag, lastModified } = validators;
+        if (!etag && !lastModified) return null;
+        if (etag && known.etag !== etag) return null;
+        if (!etag && lastModified && known.lastModified !== lastModified) return null;
+        return known.sha;
+    }
+
+    function rememberUrl(url, validators, sha) {
+        if (!validators.etag && !validators.lastModified) return;
+        urls[url] = { etag: validators.etag, lastModified: validators.lastModified, sha };
+        persist();
+    }
+
+    function stats() {
+        return { entries: Object.keys(entries).length, bytes: totalBytes(), maxBytes };
+    }
+
+    return { get, put, lookupUrl, rememberUrl, stats };
+}
@@ -0,0 +1,205 @@
+// lib/conversion-queue.js
+// LibreOffice (soffice) conversion queue
+// - fixed worker pool, each worker with its own -env:UserInstallation profile
+//   (two headless soffice processes sharing a profile collide)
+// - per-job timeout (whole process group is killed) and retry
+// - job table persisted to disk so queued/running jobs survive a restart
+import { EventEmitter } from "events";
+import fs from "fs/promises";
+import fsSync from "fs";
+import path from "path";
+import cp from "child_process";
+import { pathToFileURL } from "url";
+import { v4 as uuidv4 } from "uuid";
+
+const FINISHED = ["done", "failed"];
+
+// spawn soffice for one file; resolves with the produced pdf path
+function runSoffice(inputPath, outDir, profileDir, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const args = [
+            `-env:UserInstallation=${pathToFileURL(profileDir).href}`,
+            "--headless", "--convert-to", "pdf", "--outdir", outDir, inputPath
+        ];
+        // detached: own process group, so the timeout can kill soffice.bin as well
+        const proc = cp.spawn("soffice", args, { stdio: ["ignore", "pipe", "pipe"], detached: true });
+
+        let stderr = "";
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            try { process.kill(-proc.pid, "SIGKILL"); } catch { try { proc.kill("SIGKILL"); } catch { } }
+        }, timeoutMs);
+
+        proc.stderr.on("data", (d) => (stderr += d.toString()));
+        proc.on("error", (err) => { clearTimeout(timer); reject(err); });
+        proc.on("close", (code) => {
+            clearTimeout(timer);
+            if (timedOut) return reject(new Error(`soffice timed out after ${timeoutMs}ms`));
+            if (code !== 0) return reject(new Error("soffice exit code " + code + " - " + stderr));
+            const pdfPath = path.join(outDir, path.basename(inputPath).replace(path.extname(inputPath), ".pdf"));
+            if (!fsSync.existsSync(pdfPath)) return reject(new Error("soffice produced no pdf - " + stderr));
+            resolve(pdfPath);
+        });
+    });
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.stateFile   json file the job table is persisted to
+ * @param {string} opts.profileRoot directory holding one soffice profile per worker
+ * @param {number} [opts.workers=2]
+ * @param {number} [opts.timeoutMs=120000]
+ * @param {number} [opts.retries=1]     extra attempts after a failure
+ * @param {number} [opts.keepMs=1800000] how long finished jobs stay queryable
+ * @param {(job) => Promise<string|void>} [opts.prepare] runs before conversion (e.g. download job.sourceUrl);
+ *        resolving with a pdf path marks the job done without running soffice
+ */
+export function createConversionQueue(opts) {
+    const {
+        stateFile,
+        profileRoot,
+        workers = 2,
+        timeoutMs = 120000,
+        retries = 1,
+        keepMs = 1000 * 60 * 30,
+        prepare = null
+    } = opts;
+
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    const jobs = new Map();
+    const pending = [];
+    const idleWorkers = [];
+    for (let i = 0; i < workers; i++) idleWorkers.push(i);
+
+    let saveChain = Promise.resolve();
+    function persist() {
+        const snapshot = JSON.stringify([...jobs.values()], null, 2);
+        saveChain = saveChain
+            .then(() => fs.writeFile(stateFile + ".tmp", snapshot, "utf8"))
+            .then(() => fs.rename(stateFile + ".tmp", stateFile))
+            .catch((err) => console.error("Conversion queue persist error:", err));
+        return saveChain;
+    }
+
+    function update(job, patch) {
+        Object.assign(job, patch, { updatedAt: Date.now() });
+        persist();
+        events.emit("update", job);
+        events.emit(`job:${job.id}`, job);
+    }
+
+    async function runJob(job, worker) {
+        update(job, { status: "running", attempts: job.attempts + 1, worker });
+        try {
+            // prepare may hand back a ready pdf (e.g. a cache hit after download) to skip soffice
+            const preparedPdf = prepare ? await prepare(job) : null;
+            if (preparedPdf) {
+                update(job, { status: "done", pdfPath: preparedPdf, error: null, worker: null });
+                return;
+            }
+            const profileDir = path.join(profileRoot, `worker_${worker}`);
+            await fs.mkdir(profileDir, { recursive: true });
+            const pdfPath = await runSoffice(job.inputPath, job.workdir, profileDir, timeoutMs);
+            update(job, { status: "done", pdfPath, error: null, worker: null });
+        } catch (err) {
+            const message = err.message || String(err);
+            if (job.attempts <= retries) {
+                console.warn(`Conversion ${job.id} attempt ${job.attempts} failed, retrying:`, message);
+                update(job, { status: "queued", error: message, worker: null });
+                pending.push(job.id);
+            } else {
+                console.error(`Conversion ${job.id} failed:`, message);
+                update(job, { status: "failed", error: message, worker: null });
+            }
+        }
+    }
+
+    function pump() {
+        while (idleWorkers.length && pending.length) {
+            const job = jobs.get(pending.shift());
+            if (!job || job.status !== "queued") continue;
+            const worker = idleWorkers.shift();
+            runJob(job, worker).finally(() => {
+                idleWorkers.push(worker);
+                pump();
+            });
+        }
+    }
+
+    /**
+     * Queue a conversion. `inputPath` may not exist yet when `sourceUrl` is given
+     * (the prepare hook downloads it).
+     * @returns {object} the job record
+     */
+    function enqueue({ inputPath, workdir, sourceUrl = null, meta = {} }) {
+        const job = {
+            id: uuidv4(),
+            status: "queued",
+            inputPath,
+            workdir,
+            sourceUrl,
+            meta,
+            pdfPath: null,
+            error: null,
+            attempts: 0,
+            worker: null,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        jobs.set(job.id, job);
+        pending.push(job.id);
+        persist();
+        events.emit("update", job);
+        pump();
+        return job;
+    }
+
+    function get(id) {
+        return jobs.get(id) || null;
+    }
+
+    // reload the persisted table: running jobs were interrupted by the restart and go back in the queue
+    async function restore() {
+        let saved = [];
+        try {
+            saved = JSON.parse(await fs.readFile(stateFile, "utf8"));
+        } catch (err) {
+            if (err.code !== "ENOENT") console.warn("Conversion queue state unreadable, starting empty:", err.message);
+        }
+        const now = Date.now();
+        for (const job of saved) {
+            if (FINISHED.includes(job.status) && now - job.updatedAt > keepMs) continue;
+            if (!fsSync.existsSync(job.workdir)) continue;
+            if (job.status === "running") Object.assign(job, { status: "queued", worker: null });
+            jobs.set(job.id, job);
+            if (job.status === "queued") pending.push(job.id);
+        }
+        await persist();
+        pump();
+        return [...jobs.values()];
+    }
+
+    // drop finished jobs older than keepMs
+    function prune() {
+        const now = Date.now();
+        let changed = false;
+        for (const job of jobs.values()) {
+            if (FINISHED.includes(job.status) && now - job.updatedAt > keepMs) {
+                jobs.delete(job.id);
+                changed = true;
+            }
+        }
+        if (changed) persist();
+    }
+    setInterval(prune, 60 * 1000).unref();
+
+    function stats() {
+        const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+        for (const job of jobs.values()) counts[job.status]++;
+        return { workers, idle: idleWorkers.length, ...counts };
+    }
+
+    return { enqueue, get, restore, stats, events };
+}
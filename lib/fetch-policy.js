@@ -0,0 +1,223 @@
+// lib/fetch-policy.js
+// Outbound fetch policy for /proxy, /render and the sources /package downloads (SSRF protection)
+// - allow / deny host lists ("example.com", "*.example.com")
+// - every address a hostname resolves to is checked at connect time (custom dns lookup),
+//   so private / loopback / link-local targets are refused on the first hop and after redirects
+// - max response size, timeout and content-type restrictions
+// Configured from a json file (FETCH_POLICY_FILE, default ./fetch-policy.json) with env overrides.
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import fsSync from "fs";
+import { Transform } from "stream";
+
+export class FetchPolicyError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.name = "FetchPolicyError";
+        this.status = status;
+    }
+}
+
+// ranges never reachable unless allowPrivate is set
+const blockedRanges = new net.BlockList();
+[
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15],
+    ["224.0.0.0", 4], ["240.0.0.0", 4]
+].forEach(([addr, prefix]) => blockedRanges.addSubnet(addr, prefix, "ipv4"));
+[
+    ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+    // mapped / NAT64 forms not written with a dotted IPv4 tail (see isPrivateAddress)
+    ["::ffff:0:0", 96], ["64:ff9b::", 96]
+].forEach(([addr, prefix]) => blockedRanges.addSubnet(addr, prefix, "ipv6"));
+
+export function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) return blockedRanges.check(address, "ipv4");
+    if (family === 6) {
+        // IPv4-mapped / NAT64 forms carry an IPv4 address in the low 32 bits
+        const mapped = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i);
+        if (mapped) return blockedRanges.check(mapped[1], "ipv4");
+        return blockedRanges.check(address, "ipv6");
+    }
+    return true;
+}
+
+function hostMatches(hostname, pattern) {
+    const host = hostname.toLowerCase();
+    const p = pattern.trim().toLowerCase();
+    if (!p) return false;
+    if (p.startsWith("*.")) return host.endsWith(p.slice(1)) || host === p.slice(2);
+    return host === p;
+}
+
+function typeMatches(contentType, pattern) {
+    const type = contentType.split(";")[0].trim().toLowerCase();
+    const p = pattern.trim().toLowerCase();
+    if (p.endsWith("*")) return type.startsWith(p.slice(0, -1));
+    return type === p;
+}
+
+const listFromEnv = (v) => (v === undefined ? undefined : v.split(",").map(s => s.trim()).filter(Boolean));
+const intFromEnv = (v) => (v === undefined || v === "" ? undefined : parseInt(v, 10));
+
+const DEFAULT_POLICY = {
+    allowHosts: null,          // null = any public host
+    denyHosts: [],
+    allowPrivate: false,
+    maxRedirects: 5,
+    timeoutMs: 1000 * 30,      // response headers / idle gap in the body
+    maxBytes: 200 * 1024 * 1024,
+    contentTypes: {
+        proxy: ["application/pdf", "application/octet-stream"],
+        render: [
+            "application/vnd.openxmlformats-officedocument.*",
+            "application/vnd.ms-*",
+            "application/vnd.oasis.opendocument.*",
+            "application/msword",
+            "application/pdf",
+            "application/octet-stream",
+            "application/zip"
+        ],
+        media: ["audio/*", "video/*", "application/octet-stream"]
+    }
+};
+
+export function loadFetchPolicy(env = process.env) {
+    const file = env.FETCH_POLICY_FILE || "fetch-policy.json";
+    let fromFile = {};
+    if (fsSync.existsSync(file)) {
+        try {
+            fromFile = JSON.parse(fsSync.readFileSync(file, "utf8"));
+        } catch (err) {
+            throw new Error(`Invalid fetch policy file ${file}: ${err.message}`);
+        }
+    }
+
+    const pick = (...values) => values.find(v => v !== undefined);
+    return {
+        allowHosts: pick(listFromEnv(env.FETCH_ALLOW_HOSTS), fromFile.allowHosts, DEFAULT_POLICY.allowHosts),
+        denyHosts: pick(listFromEnv(env.FETCH_DENY_HOSTS), fromFile.denyHosts, DEFAULT_POLICY.denyHosts),
+        allowPrivate: pick(env.FETCH_ALLOW_PRIVATE !== undefined ? env.FETCH_ALLOW_PRIVATE === "1" : undefined, fromFile.allowPrivate, DEFAULT_POLICY.allowPrivate),
+        maxRedirects: pick(intFromEnv(env.FETCH_MAX_REDIRECTS), fromFile.maxRedirects, DEFAULT_POLICY.maxRedirects),
+        timeoutMs: pick(intFromEnv(env.FETCH_TIMEOUT_MS), fromFile.timeoutMs, DEFAULT_POLICY.timeoutMs),
+        maxBytes: pick(intFromEnv(env.FETCH_MAX_BYTES), fromFile.maxBytes, DEFAULT_POLICY.maxBytes),
+        contentTypes: {
+            proxy: pick(listFromEnv(env.PROXY_CONTENT_TYPES), fromFile.contentTypes?.proxy, DEFAULT_POLICY.contentTypes.proxy),
+            render: pick(listFromEnv(env.RENDER_CONTENT_TYPES), fromFile.contentTypes?.render, DEFAULT_POLICY.contentTypes.render),
+            media: pick(listFromEnv(env.MEDIA_CONTENT_TYPES), fromFile.contentTypes?.media, DEFAULT_POLICY.contentTypes.media)
+        }
+    };
+}
+
+// scheme + host lists + literal ip check; dns-resolved addresses are checked in the lookup hook
+export function checkUrl(policy, rawUrl) {
+    let url;
+    try { url = new URL(rawUrl); } catch { throw new FetchPolicyError("Invalid url", 400); }
+    if (url.protocol !== "http:" && url.protocol !== "https:") throw new FetchPolicyError("Invalid url", 400);
+    if (url.username || url.password) throw new FetchPolicyError("Credentials in url not allowed", 400);
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, "");
+    if (policy.denyHosts.some(p => hostMatches(hostname, p))) throw new FetchPolicyError("Host not allowed");
+    if (Array.isArray(policy.allowHosts) && !policy.allowHosts.some(p => hostMatches(hostname, p))) {
+        throw new FetchPolicyError("Host not allowed");
+    }
+    if (!policy.allowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+        throw new FetchPolicyError("Address not allowed");
+    }
+    return url;
+}
+
+function guardedLookup(policy) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+            if (err) return callback(err);
+            if (!policy.allowPrivate) {
+                const bad = addresses.find(a => isPrivateAddress(a.address));
+                if (bad) return callback(new FetchPolicyError(`Address not allowed: ${hostname} -> ${bad.address}`));
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+// enforce maxBytes while streaming
+function byteLimiter(maxBytes) {
+    let seen = 0;
+    return new Transform({
+        transform(chunk, enc, cb) {
+            seen += chunk.length;
+            if (seen > maxBytes) return cb(new FetchPolicyError(`Response exceeds ${maxBytes} bytes`, 413));
+            cb(null, chunk);
+        }
+    });
+}
+
+function requestOnce(policy, url, { method, headers }) {
+    return new Promise((resolve, reject) => {
+        const lib = url.protocol === "https:" ? https : http;
+        const req = lib.request(url, { method, headers, lookup: guardedLookup(policy) }, resolve);
+        req.setTimeout(policy.timeoutMs, () => req.destroy(new FetchPolicyError(`Upstream timed out after ${policy.timeoutMs}ms`, 504)));
+        req.on("error", reject);
+        req.end();
+    });
+}
+
+/**
+ * Policy-checked fetch.
+ * @param {object} policy   from loadFetchPolicy()
+ * @param {string} rawUrl
+ * @param {object} [opts]
+ * @param {"proxy"|"render"|"media"} [opts.use]  selects the content-type allow list
+ * @param {number} [opts.maxBytes]      lower size limit than the policy's for this request
+ * @param {string} [opts.method="GET"]
+ * @param {object} [opts.headers]       request headers (e.g. Range)
+ * @returns {Promise<{ ok, status, headers: Headers, body: import("stream").Readable|null, url: string }>}
+ */
+export async function safeFetch(policy, rawUrl, opts = {}) {
+    const { use = null, method = "GET", headers = {} } = opts;
+    const maxBytes = Math.min(policy.maxBytes, opts.maxBytes || Infinity);
+    let url = checkUrl(policy, rawUrl);
+
+    for (let hop = 0; ; hop++) {
+        const res = await requestOnce(policy, url, { method, headers });
+
+        if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+            res.resume();
+            if (hop >= policy.maxRedirects) throw new FetchPolicyError("Too many redirects", 502);
+            url = checkUrl(policy, new URL(res.headers.location, url).href);
+            continue;
+        }
+
+        const responseHeaders = new Headers();
+        for (const [k, v] of Object.entries(res.headers)) {
+            if (v !== undefined) responseHeaders.set(k, Array.isArray(v) ? v.join(", ") : v);
+        }
+
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+        if (ok && use && res.statusCode !== 204) {
+            const contentType = responseHeaders.get("content-type") || "application/octet-stream";
+            if (!policy.contentTypes[use].some(p => typeMatches(contentType, p))) {
+                res.resume();
+                throw new FetchPolicyError(`Content-Type not allowed: ${contentType}`, 415);
+            }
+        }
+        const length = parseInt(responseHeaders.get("content-length"), 10);
+        if (ok && length > maxBytes) {
+            res.resume();
+            throw new FetchPolicyError(`Response exceeds ${maxBytes} bytes`, 413);
+        }
+
+        let body = null;
+        if (method !== "HEAD") {
+            body = res.pipe(byteLimiter(maxBytes));
+            res.on("error", (err) => body.destroy(err));
+            // consumer gave up early: drop the upstream connection too
+            body.on("close", () => { if (!res.complete) res.destroy(); });
+        }
+        return { ok, status: res.statusCode, headers: responseHeaders, body, url: url.href };
+    }
+}
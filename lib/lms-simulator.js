@@ -0,0 +1,188 @@
+// lib/lms-simulator.js
+// Packages loaded into the local LMS simulator (public/lms.html)
+// Each package is a registered artifact under tmp/:
+//   <id>/package/        the unpacked zip, served under /lms/packages/<id>/content/
+//   <id>/lms.json        { id, title, version, scos, importedAt } (scos from lib/scorm-manifest.js)
+//   <id>/learners.json   CMI state per simulated learner: { <learner>: { <sco identifier>: { <element>: value } } }
+// The SCORM API itself runs in the browser; the server only keeps what the simulator commits.
+import fs from "fs/promises";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { extractZip } from "./zip-reader.js";
+import { readManifest } from "./scorm-manifest.js";
+
+export class LmsSimulatorError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "LmsSimulatorError";
+        this.status = status;
+    }
+}
+
+const LEARNER_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+// learner and SCO ids become keys of learners.json; these would reach Object.prototype
+const RESERVED_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+const MAX_STATE_VALUES = 5000;   // elements per learner and SCO
+
+/**
+ * @param {object} opts
+ * @param {string} opts.root                  directory holding the workdirs (tmp/)
+ * @param {object} opts.artifacts             lib/artifact-registry.js instance
+ * @param {number} [opts.ttlMs=86400000]      how long an imported package stays available (extended on use)
+ */
+export function createLmsSimulator(opts) {
+    const { root, artifacts, ttlMs = 1000 * 60 * 60 * 24 } = opts;
+    const saveChains = new Map();   // id -> promise of the last learners.json write
+
+    function packageDir(id) {
+        const infoPath = artifacts.resolve(id, "lms.json");
+        if (!infoPath) throw new LmsSimulatorError("Unknown or expired simulator package", 404);
+        artifacts.register(id, path.dirname(infoPath), ttlMs);
+        return path.dirname(infoPath);
+    }
+
+    async function finishImport(id, dir) {
+        let text;
+        try {
+            text = await fs.readFile(path.join(dir, "package", "imsmanifest.xml"), "utf8");
+        } catch {
+            throw new LmsSimulatorError("imsmanifest.xml not found at the root of the package");
+        }
+        let manifest;
+        try {
+            manifest = readManifest(text);
+        } catch (err) {
+            throw new LmsSimulatorError("imsmanifest.xml: " + err.message);
+        }
+        if (!manifest.scos.length) throw new LmsSimulatorError("imsmanifest.xml has no launchable items");
+
+        const info = {
+            id,
+            title: manifest.title || manifest.identifier || id,
+            version: manifest.version || "1.2",
+            scos: manifest.scos,
+            importedAt: new Date().toISOString()
+        };
+        await fs.writeFile(path.join(dir, "learners.json"), "{}", "utf8");
+        await fs.writeFile(path.join(dir, "lms.json"), JSON.stringify(info, null, 2), "utf8");
+        return info;
+    }
+
+    // fill a fresh workdir; the artifact is dropped again when the import fails
+    async function importInto(fill) {
+        const id = "lms_" + uuidv4();
+        const dir = path.join(root, id);
+        await fs.mkdir(path.join(dir, "package"), { recursive: true });
+        artifacts.register(id, dir, ttlMs);
+        try {
+            await fill(path.join(dir, "package"));
+            return await finishImport(id, dir);
+        } catch (err) {
+            await artifacts.remove(id);
+            throw err;
+        }
+    }
+
+    /** Unpack an uploaded package zip. */
+    function importZip(zipPath) {
+        return importInto(async (dest) => {
+            try {
+                await extractZip(zipPath, dest);
+            } catch (err) {
+                throw new LmsSimulatorError("Could not unpack the zip: " + err.message);
+            }
+        });
+    }
+
+    /** Copy an already unpacked package (a /package build directory). */
+    function importDir(srcDir) {
+        return importInto((dest) => fs.cp(srcDir, dest, { recursive: true }));
+    }
+
+    async function info(id) {
+        return JSON.parse(await fs.readFile(path.join(packageDir(id), "lms.json"), "utf8"));
+    }
+
+    // absolute path of a file inside the unpacked package, or null
+    function contentPath(id, relPath) {
+        const base = path.join(packageDir(id), "package");
+        const filePath = path.resolve(base, relPath);
+        if (!filePath.startsWith(base + path.sep)) return null;
+        return filePath;
+    }
+
+    function checkLearner(learner) {
+        if (!LEARNER_PATTERN.test(learner || "")) throw new LmsSimulatorError("Learner ids use letters, digits and . _ @ - (up to 64)");
+        if (RESERVED_KEYS.has(learner)) throw new LmsSimulatorError("Reserved learner id " + learner);
+    }
+
+    // prototype-less maps all the way down: ids are keys, never property lookups
+    async function readLearners(dir) {
+        const all = Object.create(null);
+        let saved;
+        try {
+            saved = JSON.parse(await fs.readFile(path.join(dir, "learners.json"), "utf8"));
+        } catch {
+            return all;
+        }
+        for (const [learner, scos] of Object.entries(saved || {})) {
+            if (RESERVED_KEYS.has(learner) || !scos || typeof scos !== "object") continue;
+            all[learner] = Object.create(null);
+            for (const [sco, values] of Object.entries(scos)) if (!RESERVED_KEYS.has(sco)) all[learner][sco] = values;
+        }
+        return all;
+    }
+
+    // read-modify-write of learners.json, serialized per package
+    function updateLearners(id, change) {
+        const dir = packageDir(id);
+        const prev = saveChains.get(id) || Promise.resolve();
+        const next = prev.catch(() => { }).then(async () => {
+            const learners = await readLearners(dir);
+            change(learners);
+            const file = path.join(dir, "learners.json");
+            await fs.writeFile(file + ".tmp", JSON.stringify(learners, null, 2), "utf8");
+            await fs.rename(file + ".tmp", file);
+        });
+        saveChains.set(id, next);
+        return next;
+    }
+
+    /** @returns {Promise<object>} { <sco identifier>: { <element>: value } } */
+    async function learnerState(id, learner) {
+        checkLearner(learner);
+        await (saveChains.get(id) || Promise.resolve()).catch(() => { });
+        const learners = await readLearners(packageDir(id));
+        return learners[learner] || Object.create(null);
+    }
+
+    async function learners(id) {
+        return Object.keys(await readLearners(packageDir(id)));
+    }
+
+    /** Replace the stored CMI values of one SCO (what the simulator holds after a commit). */
+    async function saveState(id, learner, sco, values) {
+        checkLearner(learner);
+        const known = !RESERVED_KEYS.has(sco) && (await info(id)).scos.some(s => s.identifier === sco);
+        if (!known) throw new LmsSimulatorError("Unknown SCO " + sco, 404);
+        if (!values || typeof values !== "object" || Array.isArray(values)) throw new LmsSimulatorError("CMI state must be an object");
+        const entries = Object.entries(values);
+        if (entries.length > MAX_STATE_VALUES) throw new LmsSimulatorError("Too many CMI values");
+        const clean = {};
+        for (const [k, v] of entries) {
+            if (!/^(cmi|adl)\./.test(k)) throw new LmsSimulatorError("Not a CMI element: " + k);
+            clean[k] = String(v);
+        }
+        await updateLearners(id, (all) => {
+            all[learner] = all[learner] || Object.create(null);
+            all[learner][sco] = clean;
+        });
+    }
+
+    async function resetLearner(id, learner) {
+        checkLearner(learner);
+        await updateLearners(id, (all) => { delete all[learner]; });
+    }
+
+    return { importZip, importDir, info, contentPath, learners, learnerState, saveState, resetLearner };
+}
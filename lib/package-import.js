@@ -0,0 +1,223 @@
+// lib/package-import.js
+// Reading a package zip back into the editor (/import): a scorm-kit export or any SCORM zip
+// whose SCOs ship PDFs
+//   importPackageZip(zipPath, destDir, { fileUrl })  -> settings + documents for index.html
+//   readConfigJs(text)   top-level values of a generated Config.js (parsed, never executed)
+//   bumpVersion(v)       next manifest version: "1" -> "2", "1.4" -> "1.5", "" -> "2"
+import fs from "fs/promises";
+import path from "path";
+import sanitize from "sanitize-filename";
+import { readZipEntries, safeEntryPath } from "./zip-reader.js";
+import { readManifest, resolveHref } from "./scorm-manifest.js";
+import { THEME_COLOR_KEYS } from "./theme.js";
+
+export class PackageImportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "PackageImportError";
+        this.status = status;
+    }
+}
+
+const MANIFEST_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]{0,99}$/;
+const THEME_KEYS = ["fontFamily", "fontSize", ...THEME_COLOR_KEYS, "navPosition"];
+
+export function bumpVersion(v) {
+    const m = /^(.*?)(\d+)$/.exec(String(v || "").trim());
+    return m ? m[1] + (Number(m[2]) + 1) : "2";
+}
+
+// end of the value starting at i: the next "," or "}" outside strings, brackets and comments
+function valueEnd(text, i) {
+    let depth = 0;
+    while (i < text.length) {
+        const c = text[i];
+        if (c === "\"" || c === "'" || c === "`") {
+            for (i++; i < text.length && text[i] !== c; i++) if (text[i] === "\\") i++;
+        } else if (c === "/" && text[i + 1] === "/") {
+            while (i < text.length && text[i] !== "\n") i++;
+            continue;
+        } else if (c === "/" && text[i + 1] === "*") {
+            i = text.indexOf("*/", i + 2);
+            if (i < 0) return text.length;
+            i++;
+        } else if (c === "{" || c === "[") depth++;
+        else if (c === "}" || c === "]") {
+            if (depth === 0) return i;
+            depth--;
+        } else if (c === "," && depth === 0) return i;
+        i++;
+    }
+    return i;
+}
+
+/**
+ * @param {string} text  Config.js as written by generateConfigJS (server.js)
+ * @returns {object} keys whose values are plain JSON (strings, numbers, booleans, null, JSON objects / arrays)
+ */
+export function readConfigJs(text) {
+    const open = /\bConfig\s*=\s*\{/.exec(text);
+    if (!open) return {};
+    const out = {};
+    let i = open.index + open[0].length;
+    const keyPattern = /(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*(?:([A-Za-z_$][\w$]*)|"([^"]+)")\s*:/y;
+    while (i < text.length) {
+        keyPattern.lastIndex = i;
+        const m = keyPattern.exec(text);
+        if (!m) break;
+        const end = valueEnd(text, keyPattern.lastIndex);
+        const raw = text.slice(keyPattern.lastIndex, end).trim();
+        try { out[m[1] || m[2]] = JSON.parse(raw); } catch { /* not plain JSON: leave it out */ }
+        if (text[end] !== ",") break;
+        i = end + 1;
+    }
+    return out;
+}
+
+// "1.2" | "2004_3rd" | "2004_4th" (SCORM_VERSIONS keys in server.js)
+function scormVersionKey(manifest) {
+    if (manifest.version === "1.2") return "1.2";
+    return /3rd/i.test(manifest.schemaVersion) ? "2004_3rd" : "2004_4th";
+}
+
+/**
+ * @param {string} zipPath
+ * @param {string} destDir             the package's PDFs and narration files are written here (flat)
+ * @param {object} opts
+ * @param {(name: string) => string} opts.fileUrl   URL the editor loads a file of destDir from
+ * @param {(buf: Buffer, name: string) => Promise<string>} [opts.saveAsset]   keeps the logo / favicon (theme store)
+ * @returns {Promise<object>} { source, title, scormVersion, renderMode, manifestIdentifier,
+ *   manifestVersion (already bumped), config, documents, warnings }; documents in the /package
+ *   `documents` shape, pdfUrl null when the package has no PDF for that document (image mode)
+ * @throws {PackageImportError}
+ */
+export async function importPackageZip(zipPath, destDir, opts) {
+    let entries;
+    try {
+        entries = readZipEntries(await fs.readFile(zipPath));
+    } catch (err) {
+        throw new PackageImportError("Could not read the zip: " + err.message);
+    }
+    const byName = new Map();
+    for (const entry of entries) {
+        if (entry.directory) continue;
+        try { byName.set(safeEntryPath(entry.name), entry); } catch (err) { throw new PackageImportError(err.message); }
+    }
+
+    const manifestEntry = byName.get("imsmanifest.xml");
+    if (!manifestEntry) throw new PackageImportError("imsmanifest.xml not found at the root of the zip (only SCORM packages can be imported)");
+    let manifest;
+    try {
+        manifest = readManifest(manifestEntry.read().toString("utf8"));
+    } catch (err) {
+        throw new PackageImportError("imsmanifest.xml: " + err.message);
+    }
+
+    // scorm-kit exports carry the generated Config.js next to the manifest
+    const configEntry = byName.get("Config.js");
+    const kit = Boolean(configEntry && byName.has("player.html"));
+    const config = kit ? readConfigJs(configEntry.read().toString("utf8")) : {};
+    const warnings = [];
+
+    // first PDF of a resource, then of the resources it depends on
+    function resourcePdf(id, seen = new Set()) {
+        const resource = manifest.resources[id];
+        if (!resource || seen.has(id)) return null;
+        seen.add(id);
+        const own = resource.files.map(f => resolveHref(resource.base, f)).find(f => f && /\.pdf$/i.test(f) && byName.has(f));
+        return own || resource.dependencies.map(d => resourcePdf(d, seen)).find(Boolean) || null;
+    }
+
+    const leafResources = (item) => item.identifierref ? [item.identifierref] : item.children.flatMap(leafResources);
+
+    // a document per SCO resource; items spanning several resources are groups
+    // (scorm-kit names its groups GROUP_n, so a group holding one document survives too)
+    const written = new Map();   // package path -> file name in destDir
+    async function documentFor(item, resourceId) {
+        const pdf = resourcePdf(resourceId);
+        if (!pdf) {
+            if (!config.slidesDir) warnings.push(`"${item.title || item.identifier}" has no PDF in the package`);
+            return { title: item.title, pdfUrl: null };
+        }
+        if (!written.has(pdf)) {
+            let name = sanitize(path.posix.basename(pdf)) || "document.pdf";
+            if ([...written.values()].includes(name)) name = `${written.size + 1}_${name}`;
+            await fs.writeFile(path.join(destDir, name), byName.get(pdf).read());
+            written.set(pdf, name);
+        }
+        return { title: item.title, pdfUrl: opts.fileUrl(written.get(pdf)) };
+    }
+
+    async function toDocuments(items) {
+        const nodes = [];
+        for (const item of items) {
+            const refs = [...new Set(leafResources(item))].filter(id => manifest.resources[id]);
+            if (!refs.length) continue;
+            const group = item.children.length && (refs.length > 1 || (kit && /^GROUP_/.test(item.identifier)));
+            if (group) {
+                const children = await toDocuments(item.children);
+                if (children.length) nodes.push({ title: item.title, children });
+            } else {
+                nodes.push(await documentFor(item, refs[0]));
+            }
+        }
+        return nodes;
+    }
+
+    const documents = await toDocuments(manifest.items);
+    if (!documents.length) throw new PackageImportError("The package has no launchable items");
+    if (!written.size && !(kit && config.slidesDir)) {
+        throw new PackageImportError("No PDF found in the package; only scorm-kit packages and SCORM zips that ship PDFs can be imported");
+    }
+    if (kit && config.slidesDir) warnings.push("Image-mode packages do not keep their PDFs: upload the original document to re-export");
+
+    // theme: Config's styling keys; logo / favicon files go back into the theme image store
+    const theme = {};
+    for (const key of THEME_KEYS) {
+        if (typeof config[key] === "string") theme[key] = config[key];
+    }
+    for (const key of ["logo", "favicon"]) {
+        const file = typeof config[key] === "string" && byName.get(resolveHref("", config[key]));
+        if (!file || !opts.saveAsset) continue;
+        try {
+            theme[key] = await opts.saveAsset(file.read(), config[key]);
+        } catch (err) {
+            warnings.push(`The ${key} was not restored: ${err.message}`);
+        }
+    }
+
+    // narration: files next to the PDFs, Config.media back in the /package `media` shape
+    const media = [];
+    for (const m of Array.isArray(config.media) ? config.media : []) {
+        if (!m || !Number.isInteger(m.page)) continue;
+        const file = typeof m.src === "string" && byName.get(resolveHref("", m.src));
+        if (!file) { warnings.push(`The narration of page ${m.page} is missing from the package`); continue; }
+        const name = sanitize(`media_${m.document || 1}_${m.page}${path.posix.extname(m.src)}`);
+        await fs.writeFile(path.join(destDir, name), file.read());
+        media.push({ document: m.document || 1, page: m.page, url: opts.fileUrl(name) });
+    }
+
+    const firstSco = manifest.scos[0];
+    const lmsMastery = firstSco && Number.isFinite(firstSco.masteryScore) ? firstSco.masteryScore : undefined;
+    return {
+        source: kit ? "scorm-kit" : "scorm",
+        title: config.title || manifest.title || manifest.identifier,
+        scormVersion: scormVersionKey(manifest),
+        renderMode: kit && config.slidesDir ? "images" : "pdf",
+        manifestIdentifier: MANIFEST_ID_PATTERN.test(manifest.identifier) ? manifest.identifier : null,
+        manifestVersion: bumpVersion(manifest.packageVersion),
+        config: {
+            title: config.title || manifest.title || "",
+            sidebarDefaultOpen: config.sidebarDefaultOpen === true,
+            slideSequenceLocked: config.slideSequenceLocked === true,
+            quizzes: Array.isArray(config.quizzes) ? config.quizzes : [],
+            masteryScore: Number.isFinite(config.masteryScore) ? config.masteryScore : lmsMastery ?? 80,
+            completion: config.completion && typeof config.completion === "object" ? config.completion : undefined,
+            media,
+            mediaAutoAdvance: config.mediaAutoAdvance === true,
+            theme
+        },
+        documents,
+        warnings
+    };
+}
@@ -0,0 +1,289 @@
+// lib/package-validator.js
+// Checks a SCORM 1.2 / 2004 package before it ships (/package) or on request (/validate)
+//   validateFiles({ files, readFile })   files: paths relative to the package root, "/" separated
+//   validateDir(dir), validateZip(zipPath)
+// Report: { valid, version, files, errors, warnings }, each problem { message, file?, line? }.
+// Schema conformance covers the imscp / adlcp / imsss rules LMS importers actually reject on
+// (required elements and attributes, identifiers and references, value ranges, version-specific
+// names), not a full XSD validation.
+import fs from "fs/promises";
+import path from "path";
+import { parseXml, childElements, childElement, attr, resolveHref, XmlSyntaxError } from "./scorm-manifest.js";
+import { readZipEntries, safeEntryPath } from "./zip-reader.js";
+
+const MANIFEST = "imsmanifest.xml";
+
+const VERSION_RULES = {
+    "1.2": {
+        namespace: "http://www.imsproject.org/xsd/imscp_rootv1p1p2",
+        adlcp: "http://www.adlnet.org/xsd/adlcp_rootv1p2",
+        schemaVersions: ["1.2"],
+        scormTypeAttr: "adlcp:scormtype"
+    },
+    "2004": {
+        namespace: "http://www.imsglobal.org/xsd/imscp_v1p1",
+        adlcp: "http://www.adlnet.org/xsd/adlcp_v1p3",
+        schemaVersions: ["CAM 1.3", "2004 3rd Edition", "2004 4th Edition"],
+        scormTypeAttr: "adlcp:scormType"
+    }
+};
+
+// xs:ID / xs:IDREF values (NCName, ASCII subset)
+const ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+const localName = (name) => name.slice(name.indexOf(":") + 1);
+const textOf = (el) => (el ? el.text.trim() : "");
+
+/** Every file below dir, relative and "/" separated. */
+export async function listFiles(dir, prefix = "") {
+    const out = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const rel = prefix + entry.name;
+        if (entry.isDirectory()) out.push(...await listFiles(path.join(dir, entry.name), rel + "/"));
+        else out.push(rel);
+    }
+    return out;
+}
+
+/** One line per problem: "imsmanifest.xml:12: message" */
+export function formatProblems(problems) {
+    return problems.map(p => (p.file ? `${p.file}${p.line ? ":" + p.line : ""}: ` : "") + p.message).join("\n");
+}
+
+function detectVersion(manifest, report) {
+    const metadata = childElement(manifest, "metadata");
+    if (!metadata) {
+        report.error("<metadata> is missing (it declares <schema>ADL SCORM</schema> and the <schemaversion>)", manifest);
+    } else {
+        const schema = childElement(metadata, "schema");
+        if (textOf(schema) !== "ADL SCORM") report.error("<metadata><schema> must be \"ADL SCORM\"", schema || metadata);
+    }
+    const schemaVersion = metadata && childElement(metadata, "schemaversion");
+    const declared = textOf(schemaVersion);
+    for (const [version, rules] of Object.entries(VERSION_RULES)) {
+        if (rules.schemaVersions.includes(declared)) return version;
+    }
+    if (schemaVersion) report.error(`Unknown <schemaversion> "${declared}" (expected 1.2, CAM 1.3, 2004 3rd Edition or 2004 4th Edition)`, schemaVersion);
+
+    // fall back to the namespace so the remaining checks still run
+    const ns = manifest.attrs.xmlns;
+    const version = Object.keys(VERSION_RULES).find(v => VERSION_RULES[v].namespace === ns) || null;
+    if (!version) report.error("Cannot tell the SCORM version from <schemaversion> or the manifest namespace", manifest);
+    return version;
+}
+
+function checkNamespaces(manifest, version, report) {
+    const rules = VERSION_RULES[version];
+    if (manifest.attrs.xmlns !== rules.namespace) {
+        report.error(`Default namespace must be ${rules.namespace} for SCORM ${version} (found ${manifest.attrs.xmlns || "none"})`, manifest);
+    }
+    const usesAdlcp = (function walk(el) {
+        return el.name.startsWith("adlcp:") || Object.keys(el.attrs).some(k => k.startsWith("adlcp:")) || el.children.some(walk);
+    })(manifest);
+    const adlcp = manifest.attrs["xmlns:adlcp"];
+    if (usesAdlcp && adlcp !== rules.adlcp) {
+        report.error(`xmlns:adlcp must be ${rules.adlcp} for SCORM ${version} (found ${adlcp || "none"})`, manifest);
+    }
+}
+
+function checkItem(item, version, resources, report) {
+    const id = attr(item, "identifier");
+    const label = id ? `<item> ${id}` : "<item>";
+    if (!textOf(childElement(item, "title"))) report.error(`${label} has no <title>`, item);
+
+    const ref = attr(item, "identifierref");
+    const children = childElements(item, "item");
+    if (ref && !resources.has(ref)) report.error(`${label} references resource ${ref}, which is not declared in <resources>`, item);
+    if (version === "2004" && ref && children.length) report.error(`${label} has child items and an identifierref; in SCORM 2004 only leaf items launch content`, item);
+    if (!ref && !children.length) {
+        if (version === "2004") report.error(`${label} is a leaf item without an identifierref`, item);
+        else report.warning(`${label} launches nothing (no identifierref and no child items)`, item);
+    }
+    const visible = attr(item, "isvisible");
+    if (visible !== undefined && visible !== "true" && visible !== "false") report.error(`${label}: isvisible must be true or false`, item);
+
+    const mastery = childElement(item, "masteryscore");
+    if (mastery) {
+        const n = Number(textOf(mastery));
+        if (version === "2004") report.error(`${label}: adlcp:masteryscore is SCORM 1.2; 2004 uses the primary objective's imsss:minNormalizedMeasure`, mastery);
+        else if (!textOf(mastery) || !Number.isFinite(n) || n < 0 || n > 100) report.error(`${label}: masteryscore must be a number from 0 to 100`, mastery);
+    }
+    const sequencing = childElement(item, "sequencing");
+    if (sequencing && version === "1.2") report.error(`${label}: imsss:sequencing is SCORM 2004 only`, sequencing);
+    const objectives = sequencing && childElement(sequencing, "objectives");
+    for (const objective of objectives ? objectives.children : []) {
+        const measure = childElement(objective, "minNormalizedMeasure");
+        if (!measure) continue;
+        const n = Number(textOf(measure));
+        if (!textOf(measure) || !Number.isFinite(n) || n < -1 || n > 1) report.error(`${label}: minNormalizedMeasure must be between -1 and 1`, measure);
+    }
+
+    for (const child of children) checkItem(child, version, resources, report);
+}
+
+function checkResource(resource, version, base, resourceIds, report) {
+    const id = attr(resource, "identifier");
+    const label = id ? `<resource> ${id}` : "<resource>";
+    if (!attr(resource, "type")) report.error(`${label} has no type attribute (use "webcontent")`, resource);
+
+    // the attribute name is case-sensitive and differs between the versions
+    const expected = VERSION_RULES[version].scormTypeAttr;
+    const scormTypeKey = Object.keys(resource.attrs).find(k => localName(k).toLowerCase() === "scormtype");
+    const scormType = scormTypeKey && resource.attrs[scormTypeKey];
+    if (!scormTypeKey) report.error(`${label} has no ${expected} attribute`, resource);
+    else if (localName(scormTypeKey) !== localName(expected)) report.error(`${label}: the attribute is ${expected} in SCORM ${version} (found ${scormTypeKey})`, resource);
+    if (scormTypeKey && scormType !== "sco" && scormType !== "asset") report.error(`${label}: ${expected} must be "sco" or "asset" (found "${scormType}")`, resource);
+    if (scormType === "sco" && !attr(resource, "href")) report.error(`${label} is a SCO but has no href to launch`, resource);
+
+    for (const dependency of childElements(resource, "dependency")) {
+        const ref = attr(dependency, "identifierref");
+        if (!ref) report.error(`${label}: <dependency> without identifierref`, dependency);
+        else if (!resourceIds.has(ref)) report.error(`${label} depends on ${ref}, which is not declared in <resources>`, dependency);
+    }
+
+    const refs = [];
+    const href = attr(resource, "href");
+    if (href) refs.push({ href, el: resource, what: "launch file" });
+    for (const file of childElements(resource, "file")) {
+        const fileHref = attr(file, "href");
+        if (!fileHref) report.error(`${label}: <file> without href`, file);
+        else refs.push({ href: fileHref, el: file, what: "file" });
+    }
+    const resourceBase = base + (attr(resource, "base") || "");
+    return refs.map(r => ({ ...r, label, path: resolveHref(resourceBase, r.href) }));
+}
+
+/**
+ * @param {object} pkg
+ * @param {string[]} pkg.files                       every file in the package
+ * @param {(name: string) => Promise<string>|string} pkg.readFile
+ * @returns {Promise<object>} { valid, version, files, errors, warnings }
+ */
+export async function validateFiles({ files, readFile }) {
+    const errors = [], warnings = [];
+    const problem = (list) => (message, el, file = MANIFEST) => list.push({ message, file, ...(el && el.line ? { line: el.line } : {}) });
+    const report = { error: problem(errors), warning: problem(warnings) };
+    const done = (version = null) => ({ valid: errors.length === 0, version, files: files.length, errors, warnings });
+
+    if (!files.includes(MANIFEST)) {
+        const nested = files.find(f => f.endsWith("/" + MANIFEST));
+        errors.push({
+            message: nested
+                ? `${MANIFEST} must be at the root of the package, found ${nested} (zip the contents of ${nested.slice(0, -MANIFEST.length - 1)}/, not the folder itself)`
+                : `${MANIFEST} is missing`
+        });
+        return done();
+    }
+
+    // 1) well-formed XML
+    let manifest;
+    try {
+        manifest = parseXml(String(await readFile(MANIFEST)));
+    } catch (err) {
+        if (!(err instanceof XmlSyntaxError)) throw err;
+        errors.push({ message: "Not well-formed XML: " + err.message, file: MANIFEST, line: err.line });
+        return done();
+    }
+    if (localName(manifest.name) !== "manifest") {
+        report.error(`Root element must be <manifest>, found <${manifest.name}>`, manifest);
+        return done();
+    }
+
+    // 2) schema rules
+    const version = detectVersion(manifest, report);
+    if (!version) return done();
+    checkNamespaces(manifest, version, report);
+
+    const seenIds = new Map();
+    (function collectIds(el) {
+        const id = attr(el, "identifier");
+        const kind = localName(el.name);
+        if (["manifest", "organization", "item", "resource"].includes(kind)) {
+            if (!id) report.error(`<${kind}> has no identifier`, el);
+            else if (!ID_PATTERN.test(id)) report.error(`Identifier "${id}" is not a valid xs:ID (start with a letter or _, no spaces or colons)`, el);
+            else if (seenIds.has(id)) report.error(`Identifier ${id} is used twice (first on line ${seenIds.get(id)})`, el);
+            else seenIds.set(id, el.line);
+        }
+        el.children.forEach(collectIds);
+    })(manifest);
+
+    const resourcesEl = childElement(manifest, "resources");
+    const resourceEls = resourcesEl ? childElements(resourcesEl, "resource") : [];
+    const resourceIds = new Set(resourceEls.map(r => attr(r, "identifier")).filter(Boolean));
+    if (!resourcesEl) report.error("<resources> is missing", manifest);
+
+    const organizations = childElement(manifest, "organizations");
+    const orgs = organizations ? childElements(organizations, "organization") : [];
+    if (!organizations) report.error("<organizations> is missing", manifest);
+    else if (!orgs.length) report.error("<organizations> has no <organization>, so nothing can be launched", organizations);
+    const defaultOrg = organizations && attr(organizations, "default");
+    if (defaultOrg && !orgs.some(o => attr(o, "identifier") === defaultOrg)) {
+        report.error(`<organizations default="${defaultOrg}"> does not match any <organization>`, organizations);
+    }
+    for (const org of orgs) {
+        const label = `<organization> ${attr(org, "identifier") || ""}`.trim();
+        if (!textOf(childElement(org, "title"))) report.error(`${label} has no <title>`, org);
+        const items = childElements(org, "item");
+        if (!items.length) report.error(`${label} has no <item>`, org);
+        for (const item of items) checkItem(item, version, resourceIds, report);
+    }
+
+    // 3) referenced files exist
+    const base = (attr(manifest, "base") || "") + (resourcesEl ? attr(resourcesEl, "base") || "" : "");
+    const refs = resourceEls.flatMap(r => checkResource(r, version, base, resourceIds, report));
+    const fileSet = new Set(files);
+    const byLowerCase = new Map(files.map(f => [f.toLowerCase(), f]));
+    const declared = new Set();
+    for (const ref of refs) {
+        if (ref.path === null) continue;
+        declared.add(ref.path);
+        if (fileSet.has(ref.path)) continue;
+        const otherCase = byLowerCase.get(ref.path.toLowerCase());
+        report.error(`${ref.label}: ${ref.what} ${ref.href} does not exist in the package` +
+            (otherCase ? ` (found ${otherCase}; paths are case-sensitive on most servers)` : ""), ref.el);
+    }
+
+    // 4) every packaged file is declared; the manifest and its schema files sit beside it undeclared
+    for (const file of files) {
+        if (file === MANIFEST || declared.has(file)) continue;
+        if (!file.includes("/") && /\.(xsd|dtd)$/i.test(file)) continue;
+        report.error("In the package but not declared in any <resource>", null, file);
+    }
+
+    // 2004: the XSDs named in xsi:schemaLocation should ship next to the manifest
+    if (version === "2004") {
+        const xsds = (manifest.attrs["xsi:schemaLocation"] || "").trim().split(/\s+/).filter((s, i) => i % 2 === 1);
+        for (const xsd of xsds) {
+            if (!/^[a-z]+:/i.test(xsd) && !fileSet.has(xsd)) report.warning(`Schema ${xsd} (xsi:schemaLocation) is not included at the package root`, manifest);
+        }
+    }
+
+    return done(version);
+}
+
+/** Validate an unpacked package directory. */
+export async function validateDir(dir) {
+    return validateFiles({
+        files: await listFiles(dir),
+        readFile: (name) => fs.readFile(path.join(dir, name), "utf8")
+    });
+}
+
+/**
+ * Validate a package zip without unpacking it.
+ * @throws {Error} when the file is not a readable zip
+ */
+export async function validateZip(zipPath) {
+    const entries = readZipEntries(await fs.readFile(zipPath)).filter(e => !e.directory);
+    const unsafe = [];
+    const byName = new Map();
+    for (const entry of entries) {
+        try { byName.set(safeEntryPath(entry.name), entry); } catch (err) { unsafe.push(err.message); }
+    }
+    const result = await validateFiles({ files: [...byName.keys()], readFile: (name) => byName.get(name).read().toString("utf8") });
+    if (unsafe.length) {
+        result.errors.unshift(...unsafe.map(message => ({ message })));
+        result.valid = false;
+    }
+    return result;
+}
@@ -0,0 +1,96 @@
+// lib/pdf-document.js
+// pdf.js (pdfjs-dist) helpers for the rasterizer (lib/rasterize.js)
+// - openPdf: load a PDF file from disk
+// - readOutline: bookmarks resolved to page numbers
+// - titleFromTextContent: a page's title text (largest text on the page)
+// - textFromTextContent: a page's text for screen readers (image-mode slides.json)
+import fs from "fs/promises";
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+let pdfjsPromise = null;
+function loadPdfjs() {
+    // loaded lazily: only image-mode packages need it
+    if (!pdfjsPromise) pdfjsPromise = import("pdfjs-dist/legacy/build/pdf.mjs");
+    return pdfjsPromise;
+}
+
+// caller must `await doc.destroy()`
+export async function openPdf(pdfPath) {
+    const { getDocument } = await loadPdfjs();
+    const pdfjsDir = path.dirname(require.resolve("pdfjs-dist/package.json"));
+    const data = new Uint8Array(await fs.readFile(pdfPath));
+    return getDocument({
+        data,
+        isEvalSupported: false,
+        verbosity: 0,
+        standardFontDataUrl: path.join(pdfjsDir, "standard_fonts") + path.sep
+    }).promise;
+}
+
+async function destPageNumber(doc, dest) {
+    const explicit = typeof dest === "string" ? await doc.getDestination(dest) : dest;
+    if (!Array.isArray(explicit) || !explicit[0]) return null;
+    const ref = explicit[0];
+    if (typeof ref === "number") return ref + 1;
+    return (await doc.getPageIndex(ref)) + 1;
+}
+
+/**
+ * PDF outline as [{ title, page, children }]; entries without a resolvable page are dropped
+ * (their children are kept one level up).
+ */
+export async function readOutline(doc) {
+    const outline = await doc.getOutline();
+    if (!outline) return [];
+
+    async function walk(items) {
+        const nodes = [];
+        for (const item of items) {
+            let page = null;
+            try { page = item.dest ? await destPageNumber(doc, item.dest) : null; } catch { page = null; }
+            const children = item.items && item.items.length ? await walk(item.items) : [];
+            const title = (item.title || "").replace(/\s+/g, " ").trim();
+            if (!page || !title) {
+                nodes.push(...children);
+                continue;
+            }
+            nodes.push({ title, page, children });
+        }
+        return nodes;
+    }
+    return walk(outline);
+}
+
+// text of the largest-font run on a page (slide titles), or null when nothing stands out
+// from the body text (plain text pages keep their "Slide N" label)
+export function titleFromTextContent(textContent, maxLength = 120) {
+    const items = textContent.items.filter(it => it.str && it.str.trim());
+    if (!items.length) return null;
+    const size = (it) => Math.abs(it.transform[3]) || it.height || 0;
+    const sizes = items.map(size).sort((x, y) => x - y);
+    const largest = sizes[sizes.length - 1];
+    const median = sizes[Math.floor(sizes.length / 2)];
+    if (items.length > 1 && largest < median * 1.15) return null;
+    const title = items
+        .filter(it => size(it) >= largest * 0.9)
+        .map(it => it.str)
+        .join(" ")
+        .replace(/\s+/g, " ")
+        .trim();
+    return title ? title.slice(0, maxLength) : null;
+}
+
+// reading-order text of a page, one line per text line of the PDF
+export function textFromTextContent(textContent, maxLength = 5000) {
+    const text = textContent.items
+        .map(it => (it.str || "") + (it.hasEOL ? "\n" : ""))
+        .join("")
+        .split("\n")
+        .map(line => line.replace(/\s+/g, " ").trim())
+        .filter(Boolean)
+        .join("\n");
+    return text.slice(0, maxLength);
+}
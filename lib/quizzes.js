@@ -0,0 +1,104 @@
+// lib/quizzes.js
+// Validation of the knowledge-check quizzes carried in the package config
+// (rendered by public/js/quiz-player.js, reported as SCORM interactions by player.html)
+//
+//   quizzes: [{
+//     id, title, afterPage,          // shown when the learner moves past `afterPage`
+//     document,                      // 1-based document (SCO) index, default 1
+//     questions: [{ id, type, prompt, choices, correct }]
+//   }]
+//   type "multiple-choice"   choices: [..], correct: index
+//        "multiple-response" choices: [..], correct: [index, ...]
+//        "true-false"        correct: true | false
+//        "fill-in"           correct: "answer" | ["answer", ...]  (case-insensitive)
+//   masteryScore: passing score in percent (an LMS-supplied mastery score takes precedence)
+
+export const QUESTION_TYPES = ["multiple-choice", "multiple-response", "true-false", "fill-in"];
+export const DEFAULT_MASTERY_SCORE = 80;
+
+// interaction ids end up in cmi.interactions.n.id and suspend_data
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_CHOICES = 26;   // reported as a..z
+
+function checkId(id, fallback, what) {
+    const value = id === undefined || id === null || id === "" ? fallback : String(id);
+    if (!ID_PATTERN.test(value)) throw new Error(`Invalid ${what} id "${value}" (letters, digits, _ and - only)`);
+    return value;
+}
+
+function isIndex(v, choices) {
+    return Number.isInteger(v) && v >= 0 && v < choices.length;
+}
+
+function normalizeQuestion(q, index, quizId) {
+    if (!q || typeof q !== "object") throw new Error(`Quiz ${quizId}: question ${index + 1} is not an object`);
+    const id = checkId(q.id, `q${index + 1}`, "question");
+    const where = `Quiz ${quizId}, question ${id}`;
+    if (!QUESTION_TYPES.includes(q.type)) throw new Error(`${where}: unsupported type "${q.type}"`);
+    if (!q.prompt || typeof q.prompt !== "string") throw new Error(`${where}: missing prompt`);
+
+    const question = { id, type: q.type, prompt: q.prompt };
+    if (q.type === "multiple-choice" || q.type === "multiple-response") {
+        const choices = Array.isArray(q.choices) ? q.choices.map(String) : [];
+        if (choices.length < 2 || choices.length > MAX_CHOICES) throw new Error(`${where}: needs 2-${MAX_CHOICES} choices`);
+        question.choices = choices;
+        if (q.type === "multiple-choice") {
+            if (!isIndex(q.correct, choices)) throw new Error(`${where}: correct must be a choice index`);
+            question.correct = q.correct;
+        } else {
+            const correct = Array.isArray(q.correct) ? [...new Set(q.correct)].sort((a, b) => a - b) : [];
+            if (!correct.length || !correct.every(c => isIndex(c, choices))) throw new Error(`${where}: correct must be a list of choice indexes`);
+            question.correct = correct;
+        }
+    } else if (q.type === "true-false") {
+        if (typeof q.correct !== "boolean") throw new Error(`${where}: correct must be true or false`);
+        question.correct = q.correct;
+    } else {
+        const answers = (Array.isArray(q.correct) ? q.correct : [q.correct])
+            .filter(a => typeof a === "string" && a.trim())
+            .map(a => a.trim());
+        if (!answers.length) throw new Error(`${where}: correct must list at least one accepted answer`);
+        question.correct = answers;
+    }
+    return question;
+}
+
+/**
+ * @param {any} input  config.quizzes from the request body
+ * @returns {object[]} normalized quizzes (empty when none)
+ * @throws {Error} with a message suitable for a 400 response
+ */
+export function normalizeQuizzes(input) {
+    if (input === undefined || input === null) return [];
+    if (!Array.isArray(input)) throw new Error("quizzes must be a list");
+
+    const seen = new Set();
+    return input.map((quiz, i) => {
+        if (!quiz || typeof quiz !== "object") throw new Error(`Quiz ${i + 1} is not an object`);
+        const id = checkId(quiz.id, `quiz${i + 1}`, "quiz");
+        if (seen.has(id)) throw new Error(`Duplicate quiz id "${id}"`);
+        seen.add(id);
+
+        const afterPage = parseInt(quiz.afterPage, 10);
+        if (!(afterPage >= 1)) throw new Error(`Quiz ${id}: afterPage must be a page number`);
+        const document = quiz.document === undefined ? 1 : parseInt(quiz.document, 10);
+        if (!(document >= 1)) throw new Error(`Quiz ${id}: document must be a document number`);
+        if (!Array.isArray(quiz.questions) || !quiz.questions.length) throw new Error(`Quiz ${id}: no questions`);
+
+        const questionIds = new Set();
+        const questions = quiz.questions.map((q, j) => {
+            const question = normalizeQuestion(q, j, id);
+            if (questionIds.has(question.id)) throw new Error(`Quiz ${id}: duplicate question id "${question.id}"`);
+            questionIds.add(question.id);
+            return question;
+        });
+        return { id, title: quiz.title ? String(quiz.title) : "Knowledge check", afterPage, document, questions };
+    });
+}
+
+export function normalizeMasteryScore(input) {
+    if (input === undefined || input === null || input === "") return DEFAULT_MASTERY_SCORE;
+    const score = Number(input);
+    if (!Number.isFinite(score) || score < 0 || score > 100) throw new Error("masteryScore must be between 0 and 100");
+    return score;
+}
@@ -0,0 +1,88 @@
+// lib/rasterize.js
+// Server-side PDF -> slide images (pdfjs-dist + @napi-rs/canvas; the canvas is a prebuilt native addon,
+// no system libraries or external tools such as poppler / ghostscript)
+// Output layout under outDir:
+//   <width>/page-001.<ext>   one folder per requested width
+//   thumbs/page-001.<ext>    sidebar thumbnails
+//   slides.json              { format, widths, thumbWidth, fingerprint, outline, pages: [{ page, title, text, aspect, images: { <width>: path }, thumb }] }
+// Paths in slides.json are relative to outDir. outline / title / text come from lib/pdf-document.js
+// (the image-mode player has no pdf.js to read them itself); fingerprint is pdf.js' document
+// fingerprint, the same value the pdf-mode player stores in suspend_data.
+import fs from "fs/promises";
+import path from "path";
+import { openPdf, readOutline, titleFromTextContent, textFromTextContent } from "./pdf-document.js";
+
+export const RASTER_FORMATS = ["webp", "png"];
+export const DEFAULT_RASTER_OPTIONS = { format: "webp", widths: [640, 1280, 1920], thumbWidth: 240, quality: 82 };
+
+// accepts `true` or a partial options object from the request body; returns options or throws
+export function normalizeRasterOptions(input) {
+    const opts = { ...DEFAULT_RASTER_OPTIONS, ...(typeof input === "object" && input ? input : {}) };
+    if (!RASTER_FORMATS.includes(opts.format)) throw new Error("Unsupported slide image format: " + opts.format);
+    const widths = [...new Set((opts.widths || []).map(w => parseInt(w, 10)))].filter(w => w >= 64 && w <= 4096).sort((a, b) => a - b);
+    if (!widths.length) throw new Error("At least one slide width (64-4096) is required");
+    const thumbWidth = parseInt(opts.thumbWidth, 10);
+    if (!(thumbWidth >= 32 && thumbWidth <= 1024)) throw new Error("thumbWidth must be between 32 and 1024");
+    const quality = Math.min(100, Math.max(1, parseInt(opts.quality, 10) || DEFAULT_RASTER_OPTIONS.quality));
+    return { format: opts.format, widths, thumbWidth, quality };
+}
+
+const pageName = (n, ext) => `page-${String(n).padStart(3, "0")}.${ext}`;
+
+async function renderAtWidth(doc, page, width, format, quality) {
+    const unscaled = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: width / unscaled.width });
+    const { canvas, context } = doc.canvasFactory.create(Math.round(viewport.width), Math.round(viewport.height));
+    // slides with transparent backgrounds would otherwise come out black in webp viewers
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+    const buf = format === "png" ? await canvas.encode("png") : await canvas.encode("webp", quality);
+    doc.canvasFactory.destroy({ canvas, context });
+    return buf;
+}
+
+/**
+ * Render every page of a PDF at each width plus a thumbnail.
+ * Pages are processed one at a time to keep memory flat on large decks.
+ * @returns {Promise<object>} the slides.json content
+ */
+export async function rasterizePdf(pdfPath, outDir, options) {
+    const { format, widths, thumbWidth, quality } = normalizeRasterOptions(options);
+    const doc = await openPdf(pdfPath);
+
+    try {
+        for (const w of widths) await fs.mkdir(path.join(outDir, String(w)), { recursive: true });
+        await fs.mkdir(path.join(outDir, "thumbs"), { recursive: true });
+
+        const pages = [];
+        for (let n = 1; n <= doc.numPages; n++) {
+            const page = await doc.getPage(n);
+            const unscaled = page.getViewport({ scale: 1 });
+            const content = await page.getTextContent();
+            const entry = {
+                page: n, title: titleFromTextContent(content), text: textFromTextContent(content),
+                aspect: unscaled.width / unscaled.height, images: {}, thumb: null
+            };
+
+            for (const w of widths) {
+                const rel = `${w}/${pageName(n, format)}`;
+                await fs.writeFile(path.join(outDir, rel), await renderAtWidth(doc, page, w, format, quality));
+                entry.images[w] = rel;
+            }
+            const thumbRel = `thumbs/${pageName(n, format)}`;
+            await fs.writeFile(path.join(outDir, thumbRel), await renderAtWidth(doc, page, thumbWidth, format, quality));
+            entry.thumb = thumbRel;
+
+            page.cleanup();
+            pages.push(entry);
+        }
+
+        const fingerprint = (doc.fingerprints && doc.fingerprints[0]) || null;
+        const manifest = { format, widths, thumbWidth, fingerprint, outline: await readOutline(doc), pages };
+        await fs.writeFile(path.join(outDir, "slides.json"), JSON.stringify(manifest, null, 2), "utf8");
+        return manifest;
+    } finally {
+        await doc.destroy();
+    }
+}
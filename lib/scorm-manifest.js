@@ -0,0 +1,232 @@
+// lib/scorm-manifest.js
+// Reading imsmanifest.xml back (LMS simulator, package checks, package import)
+//   parseXml(text)        small non-validating XML parser -> { name, attrs, children, text, line }
+//   readManifest(text)    { identifier, version, title, items, resources, scos, ... }
+//   resolveHref(base, href)  package path of a <file> / <resource> href
+// Element and attribute names keep their prefix (adlcp:scormtype); lookups compare local names
+// so either namespace prefix works.
+import path from "path";
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+
+export class XmlSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = "XmlSyntaxError";
+        this.line = line;
+        this.column = column;
+    }
+}
+
+// line / column of an offset; offsets only grow while parsing, so the count resumes where it stopped
+function lineCounter(text) {
+    let line = 1, lineStart = 0, scanned = 0;
+    return (offset) => {
+        for (; scanned < offset; scanned++) {
+            if (text.charCodeAt(scanned) === 10) { line++; lineStart = scanned + 1; }
+        }
+        return { line, column: offset - lineStart + 1 };
+    };
+}
+
+// character data / attribute value: a bare "&" or "<" is what unescaped titles produce
+function decodeEntities(s, fail) {
+    const bad = /&(?!#x[0-9a-fA-F]+;|#[0-9]+;|[a-zA-Z]+;)|</.exec(s);
+    if (bad) fail(bad[0] === "<" ? "Unescaped \"<\"" : "Unescaped \"&\" (write &amp;)", bad.index);
+    return s.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (m, e, index) => {
+        if (e[0] === "#") return String.fromCodePoint(e[1] === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+        if (ENTITIES[e] === undefined) fail(`Unknown entity ${m}`, index);
+        return ENTITIES[e];
+    });
+}
+
+/**
+ * @param {string} text
+ * @returns {{ name: string, attrs: object, children: object[], text: string, line: number }} the root element
+ * @throws {XmlSyntaxError} on malformed markup
+ */
+export function parseXml(text) {
+    const root = { name: "#document", attrs: {}, children: [], text: "", line: 1 };
+    const stack = [root];
+    const position = lineCounter(text);
+    const fail = (message, offset) => {
+        const { line, column } = position(offset);
+        throw new XmlSyntaxError(message, line, column);
+    };
+    const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    let last = 0;
+    let m;
+    while ((m = tagPattern.exec(text))) {
+        const current = stack[stack.length - 1];
+        const start = last;
+        const between = text.slice(last, m.index);
+        if (between.includes("<")) fail("Malformed markup", start + between.indexOf("<"));
+        if (stack.length === 1 && between.trim()) fail("Text outside the root element", start + between.search(/\S/));
+        current.text += decodeEntities(between, (msg, i) => fail(msg, start + i));
+        last = tagPattern.lastIndex;
+
+        if (m[1] !== undefined) current.text += m[1];
+        else if (m[2]) {
+            if (current.name !== m[2]) fail(`Unexpected </${m[2]}> (open element: <${current.name}>)`, m.index);
+            stack.pop();
+        } else if (m[3]) {
+            if (stack.length === 1 && root.children.length) fail("More than one root element", m.index);
+            const attrs = {};
+            const attrPattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            const attrsStart = m.index + 1 + m[3].length;
+            let a;
+            while ((a = attrPattern.exec(m[4]))) {
+                if (attrs[a[1]] !== undefined) fail(`Duplicate attribute ${a[1]}`, attrsStart + a.index);
+                const valueStart = attrsStart + a.index + a[0].indexOf(a[2] !== undefined ? "\"" : "'") + 1;
+                attrs[a[1]] = decodeEntities(a[2] !== undefined ? a[2] : a[3], (msg, i) => fail(msg, valueStart + i));
+            }
+            const el = { name: m[3], attrs, children: [], text: "", line: position(m.index).line };
+            current.children.push(el);
+            if (!m[5]) stack.push(el);
+        }
+    }
+    const rest = text.slice(last);
+    if (rest.includes("<")) fail("Malformed markup", last + rest.indexOf("<"));
+    if (stack.length !== 1) fail(`Unclosed element <${stack[stack.length - 1].name}>`, text.length);
+    if (rest.trim()) fail("Text outside the root element", last + rest.search(/\S/));
+    if (!root.children.length) fail("No root element", text.length);
+    return root.children[0];
+}
+
+const localName = (name) => name.slice(name.indexOf(":") + 1);
+
+export function childElements(el, name) {
+    return el.children.filter(c => localName(c.name) === name);
+}
+
+export function childElement(el, name) {
+    return el.children.find(c => localName(c.name) === name) || null;
+}
+
+export function attr(el, name) {
+    const key = Object.keys(el.attrs).find(k => localName(k).toLowerCase() === name.toLowerCase());
+    return key === undefined ? undefined : el.attrs[key];
+}
+
+function declaredSchemaVersion(manifest) {
+    const metadata = childElement(manifest, "metadata");
+    const schemaVersion = metadata && childElement(metadata, "schemaversion");
+    return schemaVersion ? schemaVersion.text.trim() : "";
+}
+
+// "1.2" | "2004" from <metadata><schemaversion>, falling back to the adlcp namespace in use
+function detectVersion(manifest) {
+    const declared = declaredSchemaVersion(manifest);
+    if (declared === "1.2") return "1.2";
+    if (/^(2004|CAM 1\.3)/.test(declared)) return "2004";
+    const adlcp = Object.keys(manifest.attrs).find(k => /^xmlns:adlcp$/i.test(k));
+    if (adlcp && /adlcp_rootv1p2/.test(manifest.attrs[adlcp])) return "1.2";
+    if (adlcp && /adlcp_v1p3/.test(manifest.attrs[adlcp])) return "2004";
+    return null;
+}
+
+const textOf = (el) => (el ? el.text.trim() : "");
+
+/**
+ * Package path an href points at (base = concatenated xml:base values), or null for absolute URLs.
+ * @returns {string|null} "/" separated, relative to the package root
+ */
+export function resolveHref(base, href) {
+    const ref = base + href.replace(/[?#].*$/, "");
+    if (/^[a-z][a-z0-9+.-]*:/i.test(ref) || ref.startsWith("//")) return null;
+    let decoded = ref;
+    try { decoded = decodeURIComponent(ref); } catch { /* keep the raw href */ }
+    return path.posix.normalize(decoded.replace(/^\//, ""));
+}
+
+// passing score in percent: adlcp:masteryscore (1.2) or the primary objective's minNormalizedMeasure (2004)
+function readMasteryScore(item) {
+    const mastery = textOf(childElement(item, "masteryscore"));
+    if (mastery) return Number(mastery);
+    const sequencing = childElement(item, "sequencing");
+    const objectives = sequencing && childElement(sequencing, "objectives");
+    const primary = objectives && childElement(objectives, "primaryObjective");
+    const measure = primary && attr(primary, "satisfiedByMeasure") === "true" ? textOf(childElement(primary, "minNormalizedMeasure")) : "";
+    return measure ? Number(measure) * 100 : null;
+}
+
+function readItems(parent) {
+    return childElements(parent, "item").map(item => ({
+        identifier: attr(item, "identifier") || "",
+        identifierref: attr(item, "identifierref") || null,
+        parameters: attr(item, "parameters") || "",
+        title: textOf(childElement(item, "title")),
+        masteryScore: readMasteryScore(item),
+        dataFromLms: textOf(childElement(item, "datafromlms")),
+        children: readItems(item)
+    }));
+}
+
+/**
+ * @param {string} text  imsmanifest.xml content
+ * @returns {object} { identifier, version, schemaVersion, packageVersion, title, items, resources, scos }
+ *   version: "1.2" | "2004" | null, schemaVersion: the <schemaversion> text, packageVersion: the
+ *   manifest's version attribute; scos: launchable items in document order, { identifier, title,
+ *   resource, scormType, href, masteryScore, dataFromLms } where href already carries the item's parameters
+ * @throws {Error} when the XML is malformed or not a manifest
+ */
+export function readManifest(text) {
+    const manifest = parseXml(text);
+    if (localName(manifest.name) !== "manifest") throw new Error("Root element is not <manifest>");
+
+    const organizations = childElement(manifest, "organizations");
+    const orgs = organizations ? childElements(organizations, "organization") : [];
+    const defaultId = organizations ? attr(organizations, "default") : undefined;
+    const org = orgs.find(o => attr(o, "identifier") === defaultId) || orgs[0] || null;
+
+    const resources = {};
+    const resourcesEl = childElement(manifest, "resources");
+    for (const r of resourcesEl ? childElements(resourcesEl, "resource") : []) {
+        const id = attr(r, "identifier") || "";
+        resources[id] = {
+            identifier: id,
+            type: attr(r, "type") || "",
+            scormType: (attr(r, "scormtype") || "").toLowerCase(),
+            href: attr(r, "href") || null,
+            base: attr(r, "base") || "",
+            files: childElements(r, "file").map(f => attr(f, "href")).filter(Boolean),
+            dependencies: childElements(r, "dependency").map(d => attr(d, "identifierref")).filter(Boolean)
+        };
+    }
+
+    const items = org ? readItems(org) : [];
+    const scos = [];
+    (function walk(list) {
+        for (const item of list) {
+            const resource = item.identifierref ? resources[item.identifierref] : null;
+            if (resource && resource.href) {
+                let href = resource.base + resource.href;
+                if (item.parameters) {
+                    const params = item.parameters.replace(/^[?&]/, "");
+                    href += (href.includes("?") ? "&" : "?") + params;
+                }
+                scos.push({
+                    identifier: item.identifier,
+                    title: item.title,
+                    resource: resource.identifier,
+                    scormType: resource.scormType,
+                    href,
+                    masteryScore: item.masteryScore,
+                    dataFromLms: item.dataFromLms
+                });
+            }
+            walk(item.children);
+        }
+    })(items);
+
+    return {
+        identifier: attr(manifest, "identifier") || "",
+        version: detectVersion(manifest),
+        schemaVersion: declaredSchemaVersion(manifest),
+        packageVersion: attr(manifest, "version") || "",
+        title: org ? textOf(childElement(org, "title")) : "",
+        items,
+        resources,
+        scos
+    };
+}
@@ -0,0 +1,62 @@
+// lib/slide-media.js
+// Validation of the per-slide narration carried in the package config
+// (bundled under data/media/ by /package, played by public/js/slide-media.js)
+//
+//   media: [{
+//     document,          // 1-based document (SCO) index, default 1
+//     page,              // the narration plays while this page is on screen
+//     url                // audio / video file (editor uploads: /media)
+//   }]
+//   mediaAutoAdvance: true = move to the next page once a narration has played to the end
+//   completion.media: "finished" = every narration must be played to the end (lib/completion-rules.js)
+import path from "path";
+
+export const MEDIA_MAX_BYTES = 100 * 1024 * 1024;   // per file, uploaded or downloaded by /package
+
+export const MEDIA_TYPES = {
+    ".mp3": "audio", ".m4a": "audio", ".aac": "audio", ".oga": "audio", ".ogg": "audio", ".wav": "audio",
+    ".mp4": "video", ".m4v": "video", ".webm": "video"
+};
+
+/** @returns {"audio" | "video" | null} from the file name's extension */
+export function mediaType(name) {
+    return MEDIA_TYPES[path.extname(String(name || "")).toLowerCase()] || null;
+}
+
+function normalizeItem(m, index) {
+    const where = `media ${index + 1}`;
+    if (!m || typeof m !== "object") throw new Error(`${where} is not an object`);
+    const document = m.document === undefined || m.document === null ? 1 : m.document;
+    if (!Number.isInteger(document) || document < 1) throw new Error(`${where}: document must be a document number`);
+    if (!Number.isInteger(m.page) || m.page < 1) throw new Error(`${where}: page must be a page number`);
+
+    let url;
+    try { url = new URL(m.url); } catch { throw new Error(`${where}: invalid url`); }
+    if (url.protocol !== "http:" && url.protocol !== "https:") throw new Error(`${where}: url must be http(s)`);
+    const ext = path.posix.extname(url.pathname).toLowerCase();
+    if (!MEDIA_TYPES[ext]) throw new Error(`${where}: unsupported file type "${ext || url.pathname}" (${Object.keys(MEDIA_TYPES).join(", ")})`);
+
+    return { document, page: m.page, url: url.href, type: MEDIA_TYPES[ext], ext };
+}
+
+/**
+ * @param {any} input  config.media from the request body
+ * @returns {Array<{document, page, url, type, ext}>} sorted by document and page
+ * @throws {Error} with a message suitable for a 400 response
+ */
+export function normalizeSlideMedia(input) {
+    if (input === undefined || input === null) return [];
+    if (!Array.isArray(input)) throw new Error("media must be a list");
+
+    const items = input.map(normalizeItem);
+    const seen = new Set();
+    for (const item of items) {
+        const key = `${item.document}:${item.page}`;
+        if (seen.has(key)) throw new Error(`Page ${item.page} of document ${item.document} has more than one narration`);
+        seen.add(key);
+    }
+    return items.sort((a, b) => a.document - b.document || a.page - b.page);
+}
+
+// path inside the package: data/media/<document>_<page>.<ext>
+export const mediaFile = (item) => `media/${item.document}_${item.page}${item.ext}`;
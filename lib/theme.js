@@ -0,0 +1,197 @@
+// lib/theme.js
+// Player theme: the styling keys of Config.js, plus logo / favicon images
+//   normalizeTheme(input)        complete theme with defaults filled in (ThemeError on bad values)
+//   createThemeStore({ dir })    named presets (<dir>/presets.json) and uploaded images (<dir>/assets/<sha>.<ext>)
+// Images are referenced by asset name ("<sha>.png"); /package copies them into the package's assets/.
+import crypto from "crypto";
+import fs from "fs/promises";
+import fsSync from "fs";
+import path from "path";
+
+export class ThemeError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "ThemeError";
+        this.status = status;
+    }
+}
+
+export const THEME_COLOR_KEYS = [
+    "fontColor", "bodyBgColor", "headerBgColor", "headerTextColor", "footerBgColor", "footerTextColor",
+    "buttonBgColor", "buttonPrimaryBgColor", "buttonTextColor", "progressBarColor"
+];
+
+// what generateConfigJS() used to hard-code
+export const DEFAULT_THEME = {
+    fontFamily: "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+    fontSize: "14px",
+    fontColor: "#222222",
+    bodyBgColor: "#ffffff",
+    headerBgColor: "#555555",
+    headerTextColor: "#ffffff",
+    footerBgColor: "#555555",
+    footerTextColor: "#ffffff",
+    buttonBgColor: "#777777",
+    buttonPrimaryBgColor: "#007bff",
+    buttonTextColor: "#ffffff",
+    progressBarColor: "#00ff00",
+    navPosition: "right",
+    logo: null,
+    favicon: null
+};
+
+// read-only presets, listed before the saved ones
+const BUILTIN_PRESETS = {
+    Default: DEFAULT_THEME,
+    Dark: {
+        ...DEFAULT_THEME,
+        fontColor: "#e6e6e6",
+        bodyBgColor: "#1e1e1e",
+        headerBgColor: "#111111",
+        footerBgColor: "#111111",
+        buttonBgColor: "#3a3a3a",
+        buttonPrimaryBgColor: "#2f81f7",
+        progressBarColor: "#3fb950"
+    }
+};
+
+const NAV_POSITIONS = ["left", "center", "right"];
+const IMAGE_TYPES = { ".png": "png", ".jpg": "jpg", ".jpeg": "jpg", ".gif": "gif", ".webp": "webp", ".svg": "svg", ".ico": "ico" };
+const ASSET_PATTERN = /^[a-f0-9]{32}\.(png|jpg|gif|webp|svg|ico)$/;
+const PRESET_NAME_PATTERN = /^[\w .-]{1,64}$/;
+const MAX_ASSET_BYTES = 1024 * 1024;
+
+function color(value, key) {
+    if (typeof value !== "string" || !/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(value)) throw new ThemeError(`theme.${key} must be a color like #1a2b3c`);
+    const hex = value.slice(1).toLowerCase();
+    return "#" + (hex.length === 3 ? hex.split("").map(c => c + c).join("") : hex);
+}
+
+/**
+ * @param {any} input  partial theme; missing or empty keys take the default
+ * @returns {object} every DEFAULT_THEME key
+ * @throws {ThemeError}
+ */
+export function normalizeTheme(input) {
+    if (input === undefined || input === null) return { ...DEFAULT_THEME };
+    if (typeof input !== "object" || Array.isArray(input)) throw new ThemeError("theme must be an object");
+    const given = (key) => input[key] !== undefined && input[key] !== null && input[key] !== "";
+    const theme = { ...DEFAULT_THEME };
+
+    for (const key of THEME_COLOR_KEYS) {
+        if (given(key)) theme[key] = color(input[key], key);
+    }
+    if (given("fontFamily")) {
+        // ends up in a CSS custom property: family names, quotes, commas and hyphens only
+        if (typeof input.fontFamily !== "string" || input.fontFamily.length > 200 || !/^[\w\s,'"-]+$/.test(input.fontFamily)) {
+            throw new ThemeError("theme.fontFamily must be a list of font names");
+        }
+        theme.fontFamily = input.fontFamily.trim();
+    }
+    if (given("fontSize")) {
+        if (typeof input.fontSize !== "string" || !/^\d{1,3}(\.\d+)?(px|pt|em|rem|%)$/.test(input.fontSize.trim())) {
+            throw new ThemeError("theme.fontSize must be a CSS size such as 14px or 1rem");
+        }
+        theme.fontSize = input.fontSize.trim();
+    }
+    if (given("navPosition")) {
+        if (!NAV_POSITIONS.includes(input.navPosition)) throw new ThemeError(`theme.navPosition must be one of ${NAV_POSITIONS.join(", ")}`);
+        theme.navPosition = input.navPosition;
+    }
+    for (const key of ["logo", "favicon"]) {
+        if (!given(key)) continue;
+        if (typeof input[key] !== "string" || !ASSET_PATTERN.test(input[key])) throw new ThemeError(`theme.${key} is not an uploaded image`);
+        theme[key] = input[key];
+    }
+    return theme;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir   persistent directory (survives restarts, unlike tmp/)
+ */
+export async function createThemeStore({ dir }) {
+    const presetsFile = path.join(dir, "presets.json");
+    const assetsDir = path.join(dir, "assets");
+    await fs.mkdir(assetsDir, { recursive: true });
+
+    let presets = new Map();   // name -> { theme, updatedAt }
+    try {
+        presets = new Map(Object.entries(JSON.parse(await fs.readFile(presetsFile, "utf8"))));
+    } catch (err) {
+        if (err.code !== "ENOENT") console.warn("Theme presets unreadable, starting empty:", err.message);
+    }
+
+    let saveChain = Promise.resolve();
+    function persist() {
+        const snapshot = JSON.stringify(Object.fromEntries(presets), null, 2);
+        saveChain = saveChain
+            .catch(() => { })
+            .then(() => fs.writeFile(presetsFile + ".tmp", snapshot, "utf8"))
+            .then(() => fs.rename(presetsFile + ".tmp", presetsFile));
+        return saveChain;
+    }
+
+    function checkName(name) {
+        if (!PRESET_NAME_PATTERN.test(name || "")) throw new ThemeError("Preset names use letters, digits, spaces and . _ - (up to 64)");
+        if (Object.hasOwn(BUILTIN_PRESETS, name)) throw new ThemeError(`"${name}" is a built-in preset`, 403);
+    }
+
+    function list() {
+        return [
+            ...Object.keys(BUILTIN_PRESETS).map(name => ({ name, builtin: true })),
+            ...[...presets.keys()].sort().map(name => ({ name, builtin: false, updatedAt: presets.get(name).updatedAt }))
+        ];
+    }
+
+    function get(name) {
+        if (Object.hasOwn(BUILTIN_PRESETS, name)) return { ...BUILTIN_PRESETS[name] };
+        if (!presets.has(name)) throw new ThemeError("Unknown preset " + name, 404);
+        return { ...presets.get(name).theme };
+    }
+
+    async function save(name, input) {
+        checkName(name);
+        const theme = normalizeTheme(input);
+        for (const key of ["logo", "favicon"]) {
+            if (theme[key] && !assetPath(theme[key])) throw new ThemeError(`theme.${key}: image not found, upload it again`);
+        }
+        presets.set(name, { theme, updatedAt: new Date().toISOString() });
+        await persist();
+        return theme;
+    }
+
+    async function remove(name) {
+        checkName(name);
+        if (!presets.has(name)) throw new ThemeError("Unknown preset " + name, 404);
+        presets.delete(name);
+        await persist();
+    }
+
+    /**
+     * Store an uploaded logo / favicon; identical files share one asset.
+     * @returns {Promise<string>} asset name
+     */
+    async function saveAsset(buffer, fileName) {
+        const type = IMAGE_TYPES[path.extname(fileName || "").toLowerCase()];
+        if (!type) throw new ThemeError("Images must be PNG, JPEG, GIF, WebP, SVG or ICO", 415);
+        if (buffer.length > MAX_ASSET_BYTES) throw new ThemeError("Images are limited to 1 MB", 413);
+        const name = `${crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 32)}.${type}`;
+        const file = path.join(assetsDir, name);
+        if (fsSync.existsSync(file)) return name;
+        // own temp name: the same image may be uploaded twice at once
+        const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+        await fs.writeFile(tmp, buffer);
+        await fs.rename(tmp, file);
+        return name;
+    }
+
+    // absolute path of a stored asset, or null
+    function assetPath(name) {
+        if (!ASSET_PATTERN.test(name || "")) return null;
+        const file = path.join(assetsDir, name);
+        return fsSync.existsSync(file) ? file : null;
+    }
+
+    return { list, get, save, remove, saveAsset, assetPath };
+}
@@ -0,0 +1,116 @@
+// lib/zip-reader.js
+// Minimal zip extraction (stored / deflate entries, no zip64, no encryption) on node:zlib
+// Used to unpack uploaded SCORM packages; archiver only writes zips.
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// entry names become paths under destDir: refuse anything that could escape it
+export function safeEntryPath(name) {
+    const normalized = path.posix.normalize(name.replace(/\\/g, "/"));
+    if (!normalized || normalized.startsWith("/") || normalized.startsWith("../") || normalized === ".." || /^[a-zA-Z]:/.test(normalized)) {
+        throw new Error(`Unsafe path in zip: ${name}`);
+    }
+    return normalized;
+}
+
+const DEFAULT_MAX_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * List the entries of a zip held in memory.
+ * Entry sizes are the ones the archive declares: read() never inflates past an entry's declared
+ * size, and refuses once the archive's reads add up to more than maxBytes (zip bombs).
+ * @param {Buffer} buf
+ * @param {object} [opts]
+ * @param {number} [opts.maxBytes=1073741824]  uncompressed bytes allowed, declared and actually read
+ * @returns {{ name: string, directory: boolean, size: number, read: () => Buffer }[]}
+ */
+export function readZipEntries(buf, opts = {}) {
+    const { maxBytes = DEFAULT_MAX_BYTES } = opts;
+    // end of central directory: last 22 bytes plus an optional comment of up to 64 KiB
+    let eocd = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+        if (buf.readUInt32LE(i) === EOCD_SIGNATURE) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error("Not a zip file");
+
+    const count = buf.readUInt16LE(eocd + 10);
+    let offset = buf.readUInt32LE(eocd + 16);
+    if (count === 0xffff || offset === 0xffffffff) throw new Error("zip64 archives are not supported");
+
+    const entries = [];
+    let declared = 0;
+    let inflated = 0;
+    for (let n = 0; n < count; n++) {
+        if (buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error("Corrupt zip central directory");
+        const flags = buf.readUInt16LE(offset + 8);
+        const method = buf.readUInt16LE(offset + 10);
+        const compressedSize = buf.readUInt32LE(offset + 20);
+        const size = buf.readUInt32LE(offset + 24);
+        const nameLength = buf.readUInt16LE(offset + 28);
+        const extraLength = buf.readUInt16LE(offset + 30);
+        const commentLength = buf.readUInt16LE(offset + 32);
+        const localOffset = buf.readUInt32LE(offset + 42);
+        const name = buf.toString(flags & 0x800 ? "utf8" : "latin1", offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & 0x1) throw new Error(`Encrypted zip entry: ${name}`);
+        if (method !== 0 && method !== 8) throw new Error(`Unsupported compression (method ${method}) for ${name}`);
+        declared += size;
+        if (declared > maxBytes) throw new Error(`Archive unpacks to more than ${maxBytes} bytes`);
+
+        entries.push({
+            name,
+            directory: name.endsWith("/"),
+            size,
+            read() {
+                if (buf.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry: ${name}`);
+                const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+                const raw = buf.subarray(start, start + compressedSize);
+                if (inflated + size > maxBytes) throw new Error(`Archive unpacks to more than ${maxBytes} bytes`);
+                let data = raw;
+                if (method === 8) {
+                    // an entry lying about its size stops at the declared size instead of filling memory
+                    try { data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, size) }); } catch (err) {
+                        if (err.code === "ERR_BUFFER_TOO_LARGE") throw new Error(`Size mismatch for ${name}`);
+                        throw err;
+                    }
+                }
+                if (data.length !== size) throw new Error(`Size mismatch for ${name}`);
+                inflated += size;
+                return data;
+            }
+        });
+    }
+    return entries;
+}
+
+/**
+ * Extract a zip file into destDir.
+ * @param {string} zipPath
+ * @param {string} destDir
+ * @param {object} [opts]
+ * @param {number} [opts.maxBytes=1073741824]  refuse archives that unpack to more than this
+ * @returns {Promise<string[]>} extracted file paths, relative to destDir with "/" separators
+ */
+export async function extractZip(zipPath, destDir, opts = {}) {
+    const entries = readZipEntries(await fs.readFile(zipPath), { maxBytes: opts.maxBytes });
+
+    const files = [];
+    for (const entry of entries) {
+        const rel = safeEntryPath(entry.name);
+        const target = path.join(destDir, rel);
+        if (entry.directory) {
+            await fs.mkdir(target, { recursive: true });
+            continue;
+        }
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, entry.read());
+        files.push(rel);
+    }
+    return files;
+}
@@ -0,0 +1,65 @@
+// public/js/completion-rules.js
+// Completion rules for player.html (Config.completion, validated by lib/completion-rules.js)
+// Exposes window.completionRules
+//   rules()            Config.completion merged over the defaults
+//   evaluate(state)    { completed, failed, progress, success }
+//     state: { visitedPages, totalSeconds, quizCount, quizzesAnswered, quizScore, masteryScore, mediaPages, mediaFinished }
+//     quizScore is null until every quiz has been answered; mediaPages: pages with a narration,
+//     mediaFinished: per page, its narration has played to the end
+
+(function () {
+    const DEFAULTS = {
+        minPagesPercent: 100,
+        minPageSeconds: 0,
+        minSessionSeconds: 0,
+        requiredPages: [],
+        quizzes: "answered",
+        media: "none"
+    };
+
+    function rules() {
+        const configured = (window.Config && Config.completion) || {};
+        const merged = {};
+        Object.keys(DEFAULTS).forEach(k => { merged[k] = configured[k] !== undefined && configured[k] !== null ? configured[k] : DEFAULTS[k]; });
+        return merged;
+    }
+
+    function evaluate(state) {
+        const r = rules();
+        const total = state.visitedPages.length;
+        const viewed = state.visitedPages.filter(Boolean).length;
+
+        // fraction reached for every rule that applies; the document is complete when all reach 1
+        const parts = [];
+        const neededPages = Math.ceil((total * r.minPagesPercent) / 100);
+        parts.push(neededPages ? Math.min(1, viewed / neededPages) : 1);
+
+        const required = r.requiredPages.filter(p => p >= 1 && p <= total);
+        if (required.length) parts.push(required.filter(p => state.visitedPages[p - 1]).length / required.length);
+
+        if (r.minSessionSeconds > 0) parts.push(Math.min(1, state.totalSeconds / r.minSessionSeconds));
+
+        const hasQuizzes = state.quizCount > 0;
+        const quizPassed = state.quizScore === null ? null : state.quizScore >= state.masteryScore;
+        if (hasQuizzes && r.quizzes !== "none") parts.push(state.quizzesAnswered / state.quizCount);
+
+        const mediaPages = (state.mediaPages || []).filter(p => p >= 1 && p <= total);
+        if (r.media === "finished" && mediaPages.length) parts.push(mediaPages.filter(p => state.mediaFinished[p - 1]).length / mediaPages.length);
+
+        const completed = parts.every(p => p >= 1) && !(hasQuizzes && r.quizzes === "passed" && quizPassed !== true);
+        // a failed quiz can't be retaken, so "passed" rules end in failure rather than staying incomplete
+        const failed = hasQuizzes && r.quizzes === "passed" && quizPassed === false;
+
+        let success = "unknown";
+        if (quizPassed !== null) success = quizPassed ? "passed" : "failed";
+        else if (!hasQuizzes && completed) success = "passed";
+
+        // never report 1 before completion: LMSs may treat a full progress measure as completed
+        const average = parts.reduce((a, b) => a + b, 0) / parts.length;
+        const progress = completed ? 1 : Math.min(0.99, average);
+
+        return { completed: completed, failed: failed, progress: progress, success: success };
+    }
+
+    window.completionRules = { rules: rules, evaluate: evaluate };
+})();
@@ -0,0 +1,379 @@
+// public/js/lms-runtime.js
+// SCORM run-time for the LMS simulator (lms.html): the API (1.2) and API_1484_11 (2004) objects
+// a SCO finds in its parent window, with data model checks and the standard error codes.
+// Exposes window.lmsRuntime
+//   create({ version, learner, sco, values, failCommits, onCall, onCommit, onFinish })
+//     version      "1.2" | "2004"
+//     sco          { masteryScore, dataFromLms } from the manifest
+//     values       CMI values stored for this learner and SCO (from an earlier session), or {}
+//     failCommits  () => boolean: simulate an LMS that does not accept commits
+//     onCall(entry)     every API call: { method, args, result, error, note }
+//     onCommit(values)  values to persist (Commit and Finish/Terminate)
+//     onFinish(values)  after LMSFinish / Terminate
+//   -> { api, values }
+
+(function () {
+    // ---------------- value checks ----------------
+    // each returns null (ok), "type" or "range"
+    const str = (max) => (v) => (v.length <= max ? null : "type");
+    const vocab = (list) => (v) => (list.includes(v) ? null : "type");
+    const real = (min, max) => (v) => {
+        if (!/^-?\d+(\.\d+)?$/.test(v)) return "type";
+        const n = Number(v);
+        return (min !== null && n < min) || (max !== null && n > max) ? "range" : null;
+    };
+    const blankOr = (check) => (v) => (v === "" ? null : check(v));
+    const pattern = (re) => (v) => (re.test(v) ? null : "type");
+    const any = () => null;
+
+    const TIMESPAN_12 = /^\d{2,4}:\d{2}:\d{2}(\.\d{1,2})?$/;
+    const TIME_12 = /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d{1,2})?$/;
+    const DURATION = /^P(?!$)(\d+Y)?(\d+M)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d{1,2})?S)?)?$/;
+    const TIMESTAMP = /^\d{4}(-\d{2}(-\d{2}(T\d{2}(:\d{2}(:\d{2}(\.\d{1,2})?)?)?)?)?)?(Z|[+-]\d{2}(:\d{2})?)?$/;
+
+    const INTERACTION_TYPES = ["true-false", "choice", "fill-in", "long-fill-in", "matching", "performance", "sequencing", "likert", "numeric", "other"];
+
+    // ---------------- data models ----------------
+    // pattern (indexes written as n) -> [access, check]; access "r", "w" or "rw"
+    const MODEL_12 = {
+        "cmi.core.student_id": ["r"], "cmi.core.student_name": ["r"],
+        "cmi.core.lesson_location": ["rw", str(255)],
+        "cmi.core.credit": ["r"], "cmi.core.entry": ["r"], "cmi.core.total_time": ["r"], "cmi.core.lesson_mode": ["r"],
+        "cmi.core.lesson_status": ["rw", vocab(["passed", "completed", "failed", "incomplete", "browsed"])],
+        "cmi.core.score.raw": ["rw", blankOr(real(0, 100))],
+        "cmi.core.score.min": ["rw", blankOr(real(0, 100))],
+        "cmi.core.score.max": ["rw", blankOr(real(0, 100))],
+        "cmi.core.exit": ["w", vocab(["time-out", "suspend", "logout", ""])],
+        "cmi.core.session_time": ["w", pattern(TIMESPAN_12)],
+        "cmi.suspend_data": ["rw", str(4096)],
+        "cmi.launch_data": ["r"],
+        "cmi.comments": ["rw", str(4096)],
+        "cmi.comments_from_lms": ["r"],
+        "cmi.objectives.n.id": ["rw", str(255)],
+        "cmi.objectives.n.score.raw": ["rw", blankOr(real(0, 100))],
+        "cmi.objectives.n.score.min": ["rw", blankOr(real(0, 100))],
+        "cmi.objectives.n.score.max": ["rw", blankOr(real(0, 100))],
+        "cmi.objectives.n.status": ["rw", vocab(["passed", "completed", "failed", "incomplete", "browsed", "not attempted"])],
+        "cmi.student_data.mastery_score": ["r"], "cmi.student_data.max_time_allowed": ["r"], "cmi.student_data.time_limit_action": ["r"],
+        "cmi.student_preference.audio": ["rw", real(-1, 100)],
+        "cmi.student_preference.language": ["rw", str(255)],
+        "cmi.student_preference.speed": ["rw", real(-100, 100)],
+        "cmi.student_preference.text": ["rw", vocab(["-1", "0", "1"])],
+        "cmi.interactions.n.id": ["w", str(255)],
+        "cmi.interactions.n.objectives.n.id": ["w", str(255)],
+        "cmi.interactions.n.time": ["w", pattern(TIME_12)],
+        "cmi.interactions.n.type": ["w", vocab(INTERACTION_TYPES.filter(t => t !== "long-fill-in" && t !== "other"))],
+        "cmi.interactions.n.correct_responses.n.pattern": ["w", str(255)],
+        "cmi.interactions.n.weighting": ["w", real(null, null)],
+        "cmi.interactions.n.student_response": ["w", str(255)],
+        "cmi.interactions.n.result": ["w", (v) => (["correct", "wrong", "unanticipated", "neutral"].includes(v) ? null : real(null, null)(v))],
+        "cmi.interactions.n.latency": ["w", pattern(TIMESPAN_12)]
+    };
+    const CHILDREN_12 = {
+        "cmi.core._children": "student_id,student_name,lesson_location,credit,lesson_status,entry,score,total_time,lesson_mode,exit,session_time",
+        "cmi.core.score._children": "raw,min,max",
+        "cmi.objectives._children": "id,score,status",
+        "cmi.objectives.n.score._children": "raw,min,max",
+        "cmi.student_data._children": "mastery_score,max_time_allowed,time_limit_action",
+        "cmi.student_preference._children": "audio,language,speed,text",
+        "cmi.interactions._children": "id,objectives,time,type,correct_responses,weighting,student_response,result,latency"
+    };
+
+    const MODEL_2004 = {
+        "cmi._version": ["r"],
+        "cmi.completion_status": ["rw", vocab(["completed", "incomplete", "not attempted", "unknown"])],
+        "cmi.completion_threshold": ["r"], "cmi.credit": ["r"], "cmi.entry": ["r"], "cmi.launch_data": ["r"],
+        "cmi.learner_id": ["r"], "cmi.learner_name": ["r"], "cmi.max_time_allowed": ["r"], "cmi.mode": ["r"],
+        "cmi.scaled_passing_score": ["r"], "cmi.time_limit_action": ["r"], "cmi.total_time": ["r"],
+        "cmi.exit": ["w", vocab(["time-out", "suspend", "logout", "normal", ""])],
+        "cmi.location": ["rw", str(1000)],
+        "cmi.progress_measure": ["rw", real(0, 1)],
+        "cmi.score.scaled": ["rw", real(-1, 1)],
+        "cmi.score.raw": ["rw", real(null, null)], "cmi.score.min": ["rw", real(null, null)], "cmi.score.max": ["rw", real(null, null)],
+        "cmi.session_time": ["w", pattern(DURATION)],
+        "cmi.success_status": ["rw", vocab(["passed", "failed", "unknown"])],
+        "cmi.suspend_data": ["rw", any],   // SPM 64000, checked as a warning
+        "cmi.learner_preference.audio_level": ["rw", real(0, null)],
+        "cmi.learner_preference.language": ["rw", str(250)],
+        "cmi.learner_preference.delivery_speed": ["rw", real(0, null)],
+        "cmi.learner_preference.audio_captioning": ["rw", vocab(["-1", "0", "1"])],
+        "cmi.comments_from_learner.n.comment": ["rw", any],
+        "cmi.comments_from_learner.n.location": ["rw", str(250)],
+        "cmi.comments_from_learner.n.timestamp": ["rw", pattern(TIMESTAMP)],
+        "cmi.comments_from_lms.n.comment": ["r"], "cmi.comments_from_lms.n.location": ["r"], "cmi.comments_from_lms.n.timestamp": ["r"],
+        "cmi.objectives.n.id": ["rw", str(4000)],
+        "cmi.objectives.n.score.scaled": ["rw", real(-1, 1)],
+        "cmi.objectives.n.score.raw": ["rw", real(null, null)], "cmi.objectives.n.score.min": ["rw", real(null, null)], "cmi.objectives.n.score.max": ["rw", real(null, null)],
+        "cmi.objectives.n.success_status": ["rw", vocab(["passed", "failed", "unknown"])],
+        "cmi.objectives.n.completion_status": ["rw", vocab(["completed", "incomplete", "not attempted", "unknown"])],
+        "cmi.objectives.n.progress_measure": ["rw", real(0, 1)],
+        "cmi.objectives.n.description": ["rw", str(250)],
+        "cmi.interactions.n.id": ["rw", str(4000)],
+        "cmi.interactions.n.type": ["rw", vocab(INTERACTION_TYPES)],
+        "cmi.interactions.n.objectives.n.id": ["rw", str(4000)],
+        "cmi.interactions.n.timestamp": ["rw", pattern(TIMESTAMP)],
+        "cmi.interactions.n.correct_responses.n.pattern": ["rw", any],
+        "cmi.interactions.n.weighting": ["rw", real(null, null)],
+        "cmi.interactions.n.learner_response": ["rw", any],
+        "cmi.interactions.n.result": ["rw", (v) => (["correct", "incorrect", "unanticipated", "neutral"].includes(v) ? null : real(null, null)(v))],
+        "cmi.interactions.n.latency": ["rw", pattern(DURATION)],
+        "cmi.interactions.n.description": ["rw", str(250)],
+        "adl.nav.request": ["rw", pattern(/^(continue|previous|choice|jump|exit|exitAll|abandon|abandonAll|suspendAll|_none_|\{target=[^}]+\}(choice|jump))$/)]
+    };
+    const CHILDREN_2004 = {
+        "cmi.score._children": "scaled,raw,min,max",
+        "cmi.objectives._children": "id,score,success_status,completion_status,progress_measure,description",
+        "cmi.objectives.n.score._children": "scaled,raw,min,max",
+        "cmi.interactions._children": "id,type,objectives,timestamp,correct_responses,weighting,learner_response,result,latency,description",
+        "cmi.learner_preference._children": "audio_level,language,delivery_speed,audio_captioning",
+        "cmi.comments_from_learner._children": "comment,location,timestamp",
+        "cmi.comments_from_lms._children": "comment,location,timestamp"
+    };
+
+    const ERRORS_12 = {
+        0: "No error", 101: "General exception", 201: "Invalid argument error", 202: "Element cannot have children",
+        203: "Element not an array - cannot have count", 301: "Not initialized", 401: "Not implemented error",
+        402: "Invalid set value, element is a keyword", 403: "Element is read only", 404: "Element is write only", 405: "Incorrect data type"
+    };
+    const ERRORS_2004 = {
+        0: "No Error", 101: "General Exception", 102: "General Initialization Failure", 103: "Already Initialized",
+        104: "Content Instance Terminated", 111: "General Termination Failure", 112: "Termination Before Initialization",
+        113: "Termination After Termination", 122: "Retrieve Data Before Initialization", 123: "Retrieve Data After Termination",
+        132: "Store Data Before Initialization", 133: "Store Data After Termination", 142: "Commit Before Initialization",
+        143: "Commit After Termination", 201: "General Argument Error", 301: "General Get Failure", 351: "General Set Failure",
+        391: "General Commit Failure", 401: "Undefined Data Model Element", 402: "Unimplemented Data Model Element",
+        403: "Data Model Element Value Not Initialized", 404: "Data Model Element Is Read Only", 405: "Data Model Element Is Write Only",
+        406: "Data Model Element Type Mismatch", 407: "Data Model Element Value Out Of Range", 408: "Data Model Dependency Not Established"
+    };
+
+    // ---------------- time arithmetic (total_time += session_time) ----------------
+    function secondsOf(text, version) {
+        if (version === "1.2") {
+            const m = TIMESPAN_12.test(text) && text.split(":");
+            return m ? Number(m[0]) * 3600 + Number(m[1]) * 60 + Number(m[2]) : 0;
+        }
+        const m = DURATION.exec(text || "");
+        if (!m) return 0;
+        const n = (s) => parseFloat(s || "0");
+        return n(m[1]) * 365 * 86400 + n(m[2]) * 30 * 86400 + n(m[3]) * 86400 + n(m[5]) * 3600 + n(m[6]) * 60 + n(m[7]);
+    }
+
+    function formatTime(seconds, version) {
+        const cs = Math.round(seconds * 100);
+        const h = Math.floor(cs / 360000), m = Math.floor(cs / 6000) % 60, s = (cs % 6000) / 100;
+        if (version === "1.2") return String(Math.min(h, 9999)).padStart(4, "0") + ":" + String(m).padStart(2, "0") + ":" + s.toFixed(2).padStart(5, "0");
+        return "PT" + h + "H" + m + "M" + Number(s.toFixed(2)) + "S";
+    }
+
+    // ---------------- runtime ----------------
+    function create(opts) {
+        const version = opts.version === "2004" ? "2004" : "1.2";
+        const is12 = version === "1.2";
+        const MODEL = is12 ? MODEL_12 : MODEL_2004;
+        const CHILDREN = is12 ? CHILDREN_12 : CHILDREN_2004;
+        const ERRORS = is12 ? ERRORS_12 : ERRORS_2004;
+        const sco = opts.sco || {};
+        const onCall = opts.onCall || function () { };
+
+        let stage = 0;          // 0 not initialized, 1 running, 2 finished
+        let lastError = 0;
+        let diagnostic = "";
+        let note = "";
+        const values = {};
+
+        // earlier session: "suspend" resumes it; otherwise 2004 starts a new attempt while 1.2 keeps the record
+        const prior = opts.values || {};
+        const priorExit = prior[is12 ? "cmi.core.exit" : "cmi.exit"];
+        const hasPrior = Object.keys(prior).length > 0;
+        const resume = priorExit === "suspend";
+        if (hasPrior && (resume || is12)) Object.assign(values, prior);
+        delete values["cmi.core.exit"]; delete values["cmi.exit"];
+        delete values["cmi.core.session_time"]; delete values["cmi.session_time"];
+        const startNote = !hasPrior ? "first attempt" : resume ? "resumed (exit was suspend)" : is12 ? "relaunch (record kept)" : "new attempt (exit was not suspend)";
+
+        if (is12) {
+            Object.assign(values, {
+                "cmi.core.student_id": opts.learner, "cmi.core.student_name": opts.learner,
+                "cmi.core.credit": "credit", "cmi.core.lesson_mode": "normal",
+                "cmi.core.entry": !hasPrior ? "ab-initio" : resume ? "resume" : "",
+                "cmi.launch_data": sco.dataFromLms || "", "cmi.comments_from_lms": "",
+                "cmi.student_data.mastery_score": sco.masteryScore === null || sco.masteryScore === undefined ? "" : String(sco.masteryScore)
+            });
+            if (!values["cmi.core.lesson_status"]) values["cmi.core.lesson_status"] = "not attempted";
+            if (!values["cmi.core.total_time"]) values["cmi.core.total_time"] = "0000:00:00.00";
+        } else {
+            Object.assign(values, {
+                "cmi._version": "1.0", "cmi.learner_id": opts.learner, "cmi.learner_name": opts.learner,
+                "cmi.credit": "credit", "cmi.mode": "normal", "cmi.entry": resume ? "resume" : "ab-initio",
+                "cmi.launch_data": sco.dataFromLms || ""
+            });
+            if (sco.masteryScore !== null && sco.masteryScore !== undefined) values["cmi.scaled_passing_score"] = String(sco.masteryScore / 100);
+            const defaults = {
+                "cmi.completion_status": "unknown", "cmi.success_status": "unknown", "cmi.total_time": "PT0H0M0S",
+                "cmi.learner_preference.audio_level": "1", "cmi.learner_preference.language": "",
+                "cmi.learner_preference.delivery_speed": "1", "cmi.learner_preference.audio_captioning": "0"
+            };
+            Object.keys(defaults).forEach(k => { if (values[k] === undefined) values[k] = defaults[k]; });
+        }
+
+        function fail(code, detail) { lastError = code; diagnostic = detail || ERRORS[code]; return code; }
+        function failGet(code, detail) { fail(code, detail); return ""; }
+
+        // cmi.interactions.3.id -> { key: "cmi.interactions.n.id", indexes: [3] }
+        function parseElement(element) {
+            const indexes = [];
+            const key = element.replace(/\.(\d+)(?=\.|$)/g, (m, i) => { indexes.push(Number(i)); return ".n"; });
+            return { key, indexes };
+        }
+
+        // number of entries of a collection element such as "cmi.interactions.0.objectives"
+        function countOf(collection) {
+            const prefix = collection + ".";
+            const seen = new Set();
+            Object.keys(values).forEach(k => {
+                if (!k.startsWith(prefix)) return;
+                const m = /^(\d+)\./.exec(k.slice(prefix.length));
+                if (m) seen.add(Number(m[1]));
+            });
+            return seen.size;
+        }
+
+        function isCollection(collectionKey) {
+            return Object.keys(MODEL).some(k => k.startsWith(collectionKey + ".n."));
+        }
+
+        function getValue(element) {
+            if (stage === 0) return failGet(is12 ? 301 : 122);
+            if (stage === 2) return failGet(is12 ? 101 : 123);
+            if (!element) return failGet(is12 ? 201 : 301);
+            const { key } = parseElement(element);
+            if (CHILDREN[key] !== undefined) return CHILDREN[key];
+            if (key.endsWith("._children")) return failGet(is12 ? 202 : 301, "No children for " + element);
+            if (key.endsWith("._count")) {
+                const collection = element.slice(0, -"._count".length);
+                if (!isCollection(parseElement(collection).key)) return failGet(is12 ? 203 : 301, element + " is not a collection");
+                return String(countOf(collection));
+            }
+            const rule = MODEL[key];
+            if (!rule) return failGet(401, "Unknown element " + element);
+            if (rule[0] === "w") return failGet(is12 ? 404 : 405);
+            if (values[element] === undefined) return is12 || rule[0] !== "rw" ? "" : failGet(403, element + " has not been set");
+            return values[element];
+        }
+
+        function setValue(element, value) {
+            if (stage === 0) return fail(is12 ? 301 : 132);
+            if (stage === 2) return fail(is12 ? 101 : 133);
+            if (!element) return fail(is12 ? 201 : 351);
+            const { key, indexes } = parseElement(element);
+            if (key.endsWith("._children") || key.endsWith("._count") || key === "cmi._version") return fail(is12 ? 402 : 404);
+            const rule = MODEL[key];
+            if (!rule) return fail(401, "Unknown element " + element);
+            if (rule[0] === "r") return fail(is12 ? 403 : 404);
+            value = String(value);
+
+            // collections are filled in order, and in 2004 a new interaction / objective starts with its id
+            const parts = element.split(".");
+            let depth = 0;
+            for (let i = 0; i < parts.length; i++) {
+                if (!/^\d+$/.test(parts[i])) continue;
+                const collection = parts.slice(0, i).join(".");
+                const index = indexes[depth++];
+                const count = countOf(collection);
+                if (index > count) return fail(is12 ? 201 : 351, `${collection}.${index} is past the end (count ${count})`);
+                if (!is12 && depth === 1 && index === count && /^cmi\.(interactions|objectives)$/.test(collection) && parts[i + 1] !== "id") {
+                    return fail(408, `${collection}.${index}.id must be set first`);
+                }
+            }
+
+            const problem = rule[1] ? rule[1](value) : null;
+            if (problem) return fail(is12 ? 405 : (problem === "range" ? 407 : 406), `"${value}" is not valid for ${element}`);
+            if (!is12 && key === "cmi.suspend_data" && value.length > 64000) note = `suspend_data is ${value.length} characters (SPM 64000)`;
+            values[element] = value;
+            return 0;
+        }
+
+        function commit(final) {
+            if (!final && opts.failCommits && opts.failCommits()) return fail(is12 ? 101 : 391, "Commit rejected (simulated failure)");
+            if (opts.onCommit) opts.onCommit(Object.assign({}, values));
+            return 0;
+        }
+
+        function finish() {
+            const sessionTime = values[is12 ? "cmi.core.session_time" : "cmi.session_time"];
+            const totalKey = is12 ? "cmi.core.total_time" : "cmi.total_time";
+            if (sessionTime) values[totalKey] = formatTime(secondsOf(values[totalKey], version) + secondsOf(sessionTime, version), version);
+            if (is12 && values["cmi.core.lesson_status"] === "not attempted") values["cmi.core.lesson_status"] = "completed";
+            commit(true);
+            stage = 2;
+            if (opts.onFinish) opts.onFinish(Object.assign({}, values));
+            return 0;
+        }
+
+        // wraps an API method: resets the error, logs the call, maps error codes to return values
+        function method(name, run, kind) {
+            return function () {
+                const args = Array.prototype.slice.call(arguments).map(String);
+                lastError = 0; diagnostic = ""; note = "";
+                let result;
+                try {
+                    result = run.apply(null, args);
+                } catch (e) {
+                    fail(101, e.message);
+                    result = kind === "get" ? "" : 101;
+                }
+                if (kind !== "get") result = result === 0 ? "true" : "false";
+                onCall({ method: name, args: args, result: result, error: lastError, diagnostic: lastError ? diagnostic : "", note: note });
+                return result;
+            };
+        }
+        const plain = (run) => function () { return String(run.apply(null, arguments)); };
+
+        const initialize = (arg) => {
+            if (arg !== "" && arg !== undefined) return fail(201);
+            if (stage === 1) return fail(is12 ? 101 : 103);
+            if (stage === 2) return fail(is12 ? 101 : 104);
+            stage = 1;
+            note = startNote;
+            return 0;
+        };
+        const terminate = (arg) => {
+            if (arg !== "" && arg !== undefined) return fail(201);
+            if (stage === 0) return fail(is12 ? 301 : 112);
+            if (stage === 2) return fail(is12 ? 101 : 113);
+            return finish();
+        };
+        const doCommit = (arg) => {
+            if (arg !== "" && arg !== undefined) return fail(201);
+            if (stage === 0) return fail(is12 ? 301 : 142);
+            if (stage === 2) return fail(is12 ? 101 : 143);
+            return commit(false);
+        };
+        const errorString = (code) => ERRORS[parseInt(code, 10)] || "";
+        const getDiagnostic = (code) => (code === "" || code === undefined || parseInt(code, 10) === lastError ? diagnostic : errorString(code));
+
+        const api = is12 ? {
+            LMSInitialize: method("LMSInitialize", initialize),
+            LMSFinish: method("LMSFinish", terminate),
+            LMSGetValue: method("LMSGetValue", getValue, "get"),
+            LMSSetValue: method("LMSSetValue", setValue),
+            LMSCommit: method("LMSCommit", doCommit),
+            LMSGetLastError: plain(() => lastError),
+            LMSGetErrorString: plain(errorString),
+            LMSGetDiagnostic: plain(getDiagnostic)
+        } : {
+            Initialize: method("Initialize", initialize),
+            Terminate: method("Terminate", terminate),
+            GetValue: method("GetValue", getValue, "get"),
+            SetValue: method("SetValue", setValue),
+            Commit: method("Commit", doCommit),
+            GetLastError: plain(() => lastError),
+            GetErrorString: plain(errorString),
+            GetDiagnostic: plain(getDiagnostic)
+        };
+
+        return { api: api, values: values };
+    }
+
+    window.lmsRuntime = { create: create };
+})();
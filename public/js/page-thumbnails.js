@@ -0,0 +1,81 @@
+// public/js/page-thumbnails.js
+// Lazy page thumbnails for the sidebar table of contents (player.html and the editor)
+// Exposes window.pageThumbnails
+//
+// Each `.page-item[data-page]` is expected to contain a `.page-thumb` box. Thumbnails are
+// filled in only when an item scrolls into view:
+//   { pdf }            render with pdf.js into a small canvas (one page at a time)
+//   { slides, base }   image-mode packages: use the server-rendered thumbnail from slides.json
+
+(function () {
+    const THUMB_WIDTH = 120;   // css px
+
+    // STATE
+    let observer = null;
+    let source = null;
+    let generation = 0;        // bumped on attach/detach so renders for an old document are dropped
+    let renderChain = Promise.resolve();
+
+    function renderPdfThumb(pdf, pageNumber, box, gen) {
+        // queued: rendering every visible page at once stalls the main page render
+        renderChain = renderChain.then(async () => {
+            if (gen !== generation) return;
+            const page = await pdf.getPage(pageNumber);
+            const unscaled = page.getViewport({ scale: 1 });
+            const ratio = window.devicePixelRatio || 1;
+            const viewport = page.getViewport({ scale: (THUMB_WIDTH * ratio) / unscaled.width });
+            const canvas = document.createElement("canvas");
+            canvas.width = Math.round(viewport.width); canvas.height = Math.round(viewport.height);
+            await page.render({ canvasContext: canvas.getContext("2d"), viewport: viewport }).promise;
+            if (gen !== generation) return;
+            box.insertBefore(canvas, box.firstChild);
+        }).catch(e => console.warn("Thumbnail render error (page " + pageNumber + ")", e));
+    }
+
+    function renderSlideThumb(slides, base, pageNumber, box) {
+        const entry = slides.pages[pageNumber - 1];
+        if (!entry || !entry.thumb) return;
+        const img = document.createElement("img");
+        img.alt = "";
+        img.src = base + "/" + entry.thumb;
+        box.insertBefore(img, box.firstChild);
+    }
+
+    function load(item) {
+        if (!source || item.dataset.thumbLoaded) return;
+        const box = item.querySelector(".page-thumb");
+        if (!box) return;
+        item.dataset.thumbLoaded = "1";
+        const pageNumber = parseInt(item.dataset.page, 10);
+        if (source.slides) renderSlideThumb(source.slides, source.base, pageNumber, box);
+        else if (source.pdf) renderPdfThumb(source.pdf, pageNumber, box, generation);
+    }
+
+    function detach() {
+        generation++;
+        if (observer) observer.disconnect();
+        observer = null;
+        source = null;
+    }
+
+    // start watching the items of listEl; scrollRoot is the element that scrolls (the sidebar)
+    function attach(listEl, scrollRoot, src) {
+        detach();
+        source = src;
+        const items = listEl.querySelectorAll(".page-item");
+        if (typeof window.IntersectionObserver !== "function") {
+            items.forEach(load);
+            return;
+        }
+        observer = new IntersectionObserver((entries) => {
+            entries.forEach(e => {
+                if (!e.isIntersecting) return;
+                observer.unobserve(e.target);
+                load(e.target);
+            });
+        }, { root: scrollRoot || null, rootMargin: "200px 0px" });
+        items.forEach(item => observer.observe(item));
+    }
+
+    window.pageThumbnails = { attach: attach, detach: detach };
+})();
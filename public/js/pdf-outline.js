@@ -0,0 +1,76 @@
+// public/js/pdf-outline.js
+// Document structure for the sidebar table of contents (player.html and the editor)
+// Exposes window.pdfOutline
+//   readOutline(pdf)               -> Promise<[{ title, page, children }]>  (PDF bookmarks)
+//   readPageTitles(pdf, onTitle)   calls onTitle(pageNumber, title) as titles are found
+//   readPageText(pdf, pageNumber)  -> Promise<string>  the page's text, for screen readers
+// Same rules as lib/pdf-document.js, which fills slides.json for image-mode packages.
+
+(function () {
+    async function destPageNumber(pdf, dest) {
+        const explicit = typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+        if (!Array.isArray(explicit) || !explicit[0]) return null;
+        const ref = explicit[0];
+        if (typeof ref === "number") return ref + 1;
+        return (await pdf.getPageIndex(ref)) + 1;
+    }
+
+    // entries without a resolvable page are dropped (their children move one level up)
+    async function readOutline(pdf) {
+        const outline = await pdf.getOutline();
+        if (!outline) return [];
+
+        async function walk(items) {
+            const nodes = [];
+            for (const item of items) {
+                let page = null;
+                try { page = item.dest ? await destPageNumber(pdf, item.dest) : null; } catch (e) { page = null; }
+                const children = item.items && item.items.length ? await walk(item.items) : [];
+                const title = (item.title || "").replace(/\s+/g, " ").trim();
+                if (!page || !title) { nodes.push.apply(nodes, children); continue; }
+                nodes.push({ title: title, page: page, children: children });
+            }
+            return nodes;
+        }
+        return walk(outline);
+    }
+
+    // largest-font text on the page, or null when nothing stands out from the body text
+    function titleFromTextContent(textContent, maxLength) {
+        const items = textContent.items.filter(it => it.str && it.str.trim());
+        if (!items.length) return null;
+        const size = (it) => Math.abs(it.transform[3]) || it.height || 0;
+        const sizes = items.map(size).sort((x, y) => x - y);
+        const largest = sizes[sizes.length - 1];
+        const median = sizes[Math.floor(sizes.length / 2)];
+        if (items.length > 1 && largest < median * 1.15) return null;
+        const title = items.filter(it => size(it) >= largest * 0.9).map(it => it.str).join(" ").replace(/\s+/g, " ").trim();
+        return title ? title.slice(0, maxLength || 120) : null;
+    }
+
+    // reading-order text, one line per text line of the PDF
+    function textFromTextContent(textContent, maxLength) {
+        const text = textContent.items.map(it => (it.str || "") + (it.hasEOL ? "\n" : "")).join("")
+            .split("\n").map(line => line.replace(/\s+/g, " ").trim()).filter(Boolean).join("\n");
+        return text.slice(0, maxLength || 5000);
+    }
+
+    async function readPageText(pdf, pageNumber) {
+        const page = await pdf.getPage(pageNumber);
+        return textFromTextContent(await page.getTextContent());
+    }
+
+    // one page at a time in the background; stops early when shouldStop() turns true (document replaced)
+    async function readPageTitles(pdf, onTitle, shouldStop) {
+        for (let n = 1; n <= pdf.numPages; n++) {
+            if (shouldStop && shouldStop()) return;
+            try {
+                const page = await pdf.getPage(n);
+                const title = titleFromTextContent(await page.getTextContent());
+                if (title && !(shouldStop && shouldStop())) onTitle(n, title);
+            } catch (e) { console.warn("Page title error (page " + n + ")", e); }
+        }
+    }
+
+    window.pdfOutline = { readOutline: readOutline, readPageTitles: readPageTitles, readPageText: readPageText, titleFromTextContent: titleFromTextContent, textFromTextContent: textFromTextContent };
+})();
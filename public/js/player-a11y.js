@@ -0,0 +1,119 @@
+// public/js/player-a11y.js
+// Keyboard, touch-swipe and screen-reader support for player.html
+// Exposes window.playerA11y
+//   attach({ viewer, list, actions })   keys on the whole page, swipes on `viewer`, arrow-key focus
+//                                       movement inside `list` (the table of contents)
+//       actions: { prev, next, first, last, closeToc, canSwipe }   canSwipe() false: one-finger drags pan (zoomed in)
+//   announce(text)      read out through the live region (#a11yAnnouncer)
+//   setPageText(text)   text of the page on the canvas, for screen readers (#pageText)
+//
+// Keys: ArrowLeft / ArrowUp / PageUp = previous, ArrowRight / ArrowDown / PageDown = next,
+// Home / End = first / last. Ignored while typing in a field or while a modal dialog is open.
+
+(function () {
+    const NAV_KEYS = {
+        ArrowLeft: "prev", ArrowUp: "prev", PageUp: "prev",
+        ArrowRight: "next", ArrowDown: "next", PageDown: "next",
+        Home: "first", End: "last"
+    };
+    const SWIPE_MIN_PX = 50;
+    const SWIPE_MAX_MS = 800;
+
+    let actions = {};
+    let list = null;
+
+    function isTyping(target) {
+        return Boolean(target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)));
+    }
+
+    // roving tabindex: only the focused item of the list is in the tab order
+    function onListFocus(e) {
+        if (e.target.tagName !== "LI") return;
+        Array.prototype.forEach.call(list.querySelectorAll("li[tabindex]"), li => { li.tabIndex = li === e.target ? 0 : -1; });
+    }
+
+    function focusItem(item) {
+        item.focus();
+        if (item.scrollIntoView) item.scrollIntoView({ block: "nearest" });
+    }
+
+    function onListKey(e) {
+        const items = Array.prototype.slice.call(list.querySelectorAll("li[tabindex]"));
+        const i = items.indexOf(e.target);
+        let to = null;
+        if (e.key === "ArrowDown") to = items[i + 1];
+        else if (e.key === "ArrowUp") to = items[i - 1];
+        else if (e.key === "Home") to = items[0];
+        else if (e.key === "End") to = items[items.length - 1];
+        else if (e.key === "Enter" || e.key === " ") { e.preventDefault(); e.target.click(); return; }
+        else if (e.key === "Escape" && actions.closeToc) { e.preventDefault(); actions.closeToc(); return; }
+        else return;
+        e.preventDefault();
+        if (to) focusItem(to);
+    }
+
+    function onKeyDown(e) {
+        if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isTyping(e.target)) return;
+        // the quiz dialog keeps the keyboard to itself
+        if (document.querySelector("[aria-modal='true']")) return;
+        if (list && list.contains(e.target) && e.target.tagName === "LI") return onListKey(e);
+        // div / span buttons (topbar menu, sidebar close)
+        if ((e.key === "Enter" || e.key === " ") && e.target.getAttribute && e.target.getAttribute("role") === "button") {
+            e.preventDefault(); e.target.click(); return;
+        }
+        const action = NAV_KEYS[e.key];
+        if (!action || !actions[action]) return;
+        e.preventDefault();
+        actions[action]();
+    }
+
+    // one finger, mostly horizontal, quick: swipe left = next, swipe right = previous
+    function attachSwipe(viewer) {
+        let start = null;
+        viewer.addEventListener("touchstart", (e) => {
+            start = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY, t: Date.now() } : null;
+        }, { passive: true });
+        viewer.addEventListener("touchcancel", () => { start = null; }, { passive: true });
+        viewer.addEventListener("touchend", (e) => {
+            if (!start || e.changedTouches.length !== 1) return;
+            const dx = e.changedTouches[0].clientX - start.x;
+            const dy = e.changedTouches[0].clientY - start.y;
+            const quick = Date.now() - start.t <= SWIPE_MAX_MS;
+            start = null;
+            if (!quick || Math.abs(dx) < SWIPE_MIN_PX || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+            if (actions.canSwipe && !actions.canSwipe()) return;
+            if (dx < 0 && actions.next) actions.next();
+            else if (dx > 0 && actions.prev) actions.prev();
+        }, { passive: true });
+    }
+
+    function attach(options) {
+        actions = options.actions || {};
+        list = options.list || null;
+        document.addEventListener("keydown", onKeyDown);
+        if (list) list.addEventListener("focusin", onListFocus);
+        if (options.viewer) attachSwipe(options.viewer);
+    }
+
+    // cleared first so the same message is read again (e.g. a locked slide twice in a row)
+    function announce(text) {
+        const region = document.getElementById("a11yAnnouncer");
+        if (!region) return;
+        region.textContent = "";
+        setTimeout(() => { region.textContent = text; }, 50);
+    }
+
+    // one paragraph per line, so screen readers can step through it
+    function setPageText(text) {
+        const layer = document.getElementById("pageText");
+        if (!layer) return;
+        layer.innerHTML = "";
+        String(text || "").split("\n").filter(Boolean).forEach(line => {
+            const p = document.createElement("p");
+            p.textContent = line;
+            layer.appendChild(p);
+        });
+    }
+
+    window.playerA11y = { attach: attach, announce: announce, setPageText: setPageText };
+})();
@@ -1,281 +1,930 @@
 // public/js/player-viewer.js
-// Minimal player engine for player.html
-// Exposes window.startViewerWithPdf(pdfUrl)
+// Slide viewer shared by player.html (packages) and index.html (editor preview)
+// Exposes window.playerViewer
+//   init({ tracking })          wire the viewer markup (ids below); tracking: false skips SCORM and xAPI (editor)
+//   loadFromLaunch()            ?slides= / Config.slidesDir, ?pdf=, Config.filename or Config.pptUrl
+//                               -> Promise<boolean>, false when none is given
+//   loadPdf(pdfUrl)             open a PDF (pdf.js, loaded on demand from js/pdf.min.js)
+//   loadSlides(slidesDir)       open pre-rendered slides (<slidesDir>/slides.json, image-mode packages)
+//   resolveSource(src)          -> Promise<pdfUrl>: same-origin PDFs as is, others through /proxy, office files converted
+//   waitForConversionJob(job)   poll /jobs/:id until a queued conversion has its pdf
+//   goToPage(n) / next() / prev()    next() opens a quiz placed after the current page first
+//   state()                     { currentPage, totalPages, visitedPages, mode, pdfUrl, completed }
+//   refresh()                   re-read Config (title, lock, theme, nav position, narration) after the editor changed it
+//   applyTheme()                Config styling keys, logo / favicon and nav position onto the page
+//   setStatus(text)             topbar status text (#status)
+//   openSidebar() / closeSidebar()
+//   on(event, fn)               events:
+//       loaded        { totalPages, mode: "pdf" | "images", pdfUrl }   document open, first page requested
+//       pageChanged   { page, totalPages }                             a page is on screen
+//       completed     { score }                                        completion rules met during this session
+//       error         { stage: "load" | "render", error }
+//
+// Markup (both pages): #pdfCanvas in .canvas-wrapper, #prevBtn, #nextBtn, #pageInfo, #pageList, #sidebar,
+// #toggleTocBtn, #closeTocBtn, #progressBarFill, #progressText, #header-title, #status; optional #saveStatus,
+// #topbarLogo, zoom buttons (js/viewer-zoom.js), #mediaBar (js/slide-media.js). Load after the helpers it uses
+// (completion-rules.js, and when present quiz-player, session-time, suspend-data, scorm-queue, xapi-tracker,
+// page-thumbnails, pdf-outline, player-a11y, viewer-zoom, slide-media), at the end of <body>.
 
-// Ensure pdfjsLib exists (loaded from js/pdf.min.js by player.html)
 (function () {
-    if (!window.pdfjsLib) {
-        console.error("pdfjsLib not found. Make sure js/pdf.min.js is loaded before player-viewer.js");
-        return;
+    // ---------------- SCORM ----------------
+    let tracking = true;
+    let scormAPI = null;
+    let scormVersion = null;
+    function findAPI(win) {
+        let attempts = 0;
+        const maxAttempts = 500;
+        while (!win.API && !win.API_1484_11 && win.parent && win.parent !== win && attempts < maxAttempts) {
+            attempts++; win = win.parent;
+        }
+        if (win.API) { scormVersion = "1.2"; return win.API; }
+        if (win.API_1484_11) { scormVersion = "2004"; return win.API_1484_11; }
+        return null;
+    }
+    function initSCORM() {
+        if (!tracking || scormAPI) return;
+        try { scormAPI = findAPI(window); if (!scormAPI) { console.warn("SCORM API not found. Running standalone."); return; } if (scormVersion === "1.2") scormAPI.LMSInitialize && scormAPI.LMSInitialize(""); else scormAPI.Initialize && scormAPI.Initialize(""); if (window.scormQueue) scormQueue.attach(scormAPI, scormVersion); } catch (e) { console.error("SCORM init error", e); }
+    }
+    function getSCORMValue(el12, el2004) { if (!scormAPI) return ""; try { if (scormVersion === "1.2") return scormAPI.LMSGetValue(el12) || ""; else return scormAPI.GetValue(el2004) || ""; } catch (e) { return ""; } }
+    // pass null for an element that has no equivalent in one of the versions (e.g. cmi.success_status in 1.2)
+    // writes and commits go through js/scorm-queue.js (error checks, retry, localStorage) when it is loaded
+    function setSCORMValue(el12, el2004, value) { if (!scormAPI) return; const el = scormVersion === "1.2" ? el12 : el2004; if (!el) return; if (window.scormQueue) { scormQueue.set(el, value); return; } try { if (scormVersion === "1.2") scormAPI.LMSSetValue(el, String(value)); else scormAPI.SetValue(el, String(value)); } catch (e) { } }
+    function commitSCORM() { if (!scormAPI) return; if (window.scormQueue) { scormQueue.commit(); return; } try { if (scormVersion === "1.2") scormAPI.LMSCommit && scormAPI.LMSCommit(""); else scormAPI.Commit && scormAPI.Commit(""); } catch (e) { } }
+    let scormTerminated = false;
+    function terminateSCORM() {
+        if (!scormAPI || scormTerminated) return;
+        scormTerminated = true;
+        try {
+            // last save: session_time and the time spent (completion.minSessionSeconds)
+            saveProgressToSCORM();
+            // keep suspend_data/location for the next attempt unless the learner has finished
+            const status = getSCORMValue("cmi.core.lesson_status", "cmi.completion_status");
+            const finished = status === "completed" || status === "passed" || status === "failed";
+            setSCORMValue("cmi.core.exit", "cmi.exit", finished ? "" : "suspend");
+            if (window.scormQueue) { scormQueue.commit(); scormQueue.detach(); }
+            if (scormVersion === "1.2") scormAPI.LMSFinish && scormAPI.LMSFinish(""); else scormAPI.Terminate && scormAPI.Terminate("");
+        } catch (e) { }
     }
 
-    // Ensure worker path (player.html should set worker, but be safe)
-    try {
-        if (!pdfjsLib.GlobalWorkerOptions.workerSrc) {
-            pdfjsLib.GlobalWorkerOptions.workerSrc = "js/pdf.worker.min.js";
+    // first launch: move the LMS out of "not attempted" / "unknown"
+    function markAttemptStarted() {
+        const status = getSCORMValue("cmi.core.lesson_status", "cmi.completion_status");
+        if (!status || status === "not attempted" || status === "unknown") {
+            setSCORMValue("cmi.core.lesson_status", "cmi.completion_status", "incomplete");
+            commitSCORM();
         }
-    } catch (e) { /* ignore */ }
+    }
 
-    // STATE
+    // prevent a stale "completed" from the LMS when the completion rules are not met (any more)
+    function reconcileScormStatus(completedNow) {
+        if (!scormAPI || completedNow) return;
+        try {
+            const status = getSCORMValue("cmi.core.lesson_status", "cmi.completion_status");
+            if (status === "completed") {
+                setSCORMValue("cmi.core.lesson_status", "cmi.completion_status", "incomplete");
+                commitSCORM();
+            }
+        } catch (err) { console.warn("reconcileScormStatus error:", err); }
+    }
+
+    // ---------------- events ----------------
+    const listeners = { loaded: [], pageChanged: [], completed: [], error: [] };
+    function on(event, fn) {
+        if (!listeners[event]) throw new Error("Unknown player event: " + event);
+        listeners[event].push(fn);
+    }
+    function emit(event, detail) {
+        listeners[event].forEach(fn => { try { fn(detail); } catch (e) { console.error(`playerViewer ${event} handler failed`, e); } });
+    }
+
+    // ---------------- state ----------------
     let pdfDoc = null;
+    let pdfUrl = null;
+    let slideDeck = null;   // image mode: parsed slides.json
+    let slidesBase = "";
     let currentPage = 1;
     let totalPages = 0;
-    let isRendering = false;
-    let currPage = -1;
     let visitedPages = [];
-    let lastPdfUrl = null;
+    let tocOutline = [];    // [{ title, page, children }]
+    let pageTitles = [];
+    let quizzes = [];       // Config.quizzes of this document
+    let quizResults = {};   // quiz id -> [correct per question]
+    let mediaItems = [];    // Config.media of this document
+    let mediaDone = [];     // per page: its narration has played to the end
+    let wasCompleted = false;
 
-    // Canvas
     const canvas = document.getElementById("pdfCanvas");
-    if (!canvas) {
-        console.error("Canvas #pdfCanvas not found in DOM. player-viewer requires a canvas with id 'pdfCanvas'.");
-        return;
-    }
     const ctx = canvas.getContext("2d");
+    const prevBtn = document.getElementById("prevBtn");
+    const nextBtn = document.getElementById("nextBtn");
+    const pageInfo = document.getElementById("pageInfo");
+    const pageList = document.getElementById("pageList");
+    const progressBarFill = document.getElementById("progressBarFill");
+    const progressText = document.getElementById("progressText");
+    const sidebar = document.getElementById("sidebar");
+    const toggleTocBtn = document.getElementById("toggleTocBtn");
+    const closeTocBtn = document.getElementById("closeTocBtn");
+    const headerTitleEl = document.getElementById("header-title");
+    const canvasWrapper = document.querySelector(".canvas-wrapper");
+    const statusEl = document.getElementById("status");
+
+    // multi-document packages pass each SCO's own title on the launch URL
+    function showTitle() {
+        if (!headerTitleEl) return;
+        const launchTitle = new URLSearchParams(window.location.search).get("title");
+        headerTitleEl.textContent = launchTitle || (window.Config && Config.title) || "";
+    }
+    function setStatus(text) { if (statusEl) statusEl.textContent = text; console.log("[ViewerStatus]", text); }
+    // "Ready" fades out; a message set meanwhile (e.g. by the editor) stays
+    function setReady() { setStatus("Ready"); setTimeout(() => { if (statusEl && statusEl.textContent === "Ready") setStatus(""); }, 1000); }
+    function applyConfigStyles() { if (!window.Config) return; const root = document.documentElement; const map = { "--font-family": Config.fontFamily, "--font-size": Config.fontSize, "--font-color": Config.fontColor, "--body-bg": Config.bodyBgColor, "--topbar-bg": Config.headerBgColor, "--topbar-text": Config.headerTextColor, "--bottombar-bg": Config.footerBgColor, "--bottombar-text": Config.footerTextColor, "--nav-btn-bg": Config.buttonBgColor, "--nav-btn-primary-bg": Config.buttonPrimaryBgColor, "--nav-btn-text": Config.buttonTextColor, "--progress-fill": Config.progressBarColor }; Object.keys(map).forEach(k => { const v = map[k]; if (v !== undefined && v !== null) root.style.setProperty(k, v, "important"); }); }
+    // Config.logo in the topbar, Config.favicon as the page icon
+    function applyBranding() { if (!window.Config) return; const logo = document.getElementById("topbarLogo"); if (logo) { logo.hidden = !Config.logo; if (Config.logo) logo.src = Config.logo; else logo.removeAttribute("src"); } let icon = document.querySelector("link[rel='icon']"); if (Config.favicon) { if (!icon) { icon = document.createElement("link"); icon.rel = "icon"; document.head.appendChild(icon); } icon.href = Config.favicon; } else if (icon) icon.remove(); }
+
+    // Fungsi untuk update posisi tombol navigasi dan page number
+    function updateNavPosition() {
+        const pageInfoWrapper = document.querySelector(".page-info-wrapper");
+        if (!pageInfoWrapper || !window.Config) return;
+        const position = Config.navPosition || "center";  // Default ke 'center'
+        pageInfoWrapper.classList.remove("left", "center", "right");
+        pageInfoWrapper.classList.add(position);
+    }
 
-    // --- Minimal SCORM helpers (safe no-op if not in LMS) ---
-    let scormAPI = null;
-    let scormVersion = null;
+    function applyTheme() { applyConfigStyles(); applyBranding(); updateNavPosition(); }
 
-    function findAPI(win) {
-        try {
-            let attempts = 0;
-            const maxAttempts = 500;
-            while (!win.API && !win.API_1484_11 && win.parent && win.parent !== win && attempts < maxAttempts) {
-                attempts++;
-                win = win.parent;
-            }
-            if (win.API) { scormVersion = "1.2"; return win.API; }
-            if (win.API_1484_11) { scormVersion = "2004"; return win.API_1484_11; }
-        } catch (e) { /* ignore */ }
-        return null;
+    function updatePageInfo() { pageInfo.textContent = `Page ${currentPage} / ${totalPages}`; }
+    function updateProgressUI() { const visitedCount = visitedPages.filter(Boolean).length; const percent = totalPages ? Math.round((visitedCount / totalPages) * 100) : 0; progressBarFill.style.width = `${percent}%`; progressBarFill.parentNode.setAttribute("aria-valuenow", percent); progressText.textContent = `${percent}% completed`; }
+
+    // ---------------- table of contents ----------------
+    // outline entries in document order with their nesting depth
+    function flattenOutline(nodes, depth, out) {
+        out = out || [];
+        nodes.forEach(n => { out.push({ title: n.title, page: n.page, depth: depth || 0 }); flattenOutline(n.children || [], (depth || 0) + 1, out); });
+        return out;
     }
 
-    function initSCORM() {
-        try {
-            scormAPI = findAPI(window);
-            if (!scormAPI) {
-                // running standalone
-                return;
-            }
-            if (scormVersion === "1.2") {
-                scormAPI.LMSInitialize && scormAPI.LMSInitialize("");
-            } else {
-                scormAPI.Initialize && scormAPI.Initialize("");
+    function pageLabel(i) { return pageTitles[i - 1] || `Slide ${i}`; }
+    // what a screen reader says for a table of contents entry (the status badge is a symbol)
+    function pageItemLabel(i) { return `${pageLabel(i)}${visitedPages[i - 1] ? ", visited" : isPageLocked(i) ? ", locked" : ""}`; }
+
+    // page titles arrive after the list is built (read in the background)
+    function setPageTitle(pageNumber, title) {
+        pageTitles[pageNumber - 1] = title;
+        const item = pageList.querySelector(`.page-item[data-page="${pageNumber}"]`);
+        const label = item && item.querySelector(".page-label");
+        if (label) { label.textContent = pageLabel(pageNumber); label.title = title; item.setAttribute("aria-label", pageItemLabel(pageNumber)); }
+    }
+
+    function buildPageList() {
+        pageList.innerHTML = "";
+        // PDF bookmarks become section headers in front of their first page; pages are indented under them
+        const sections = flattenOutline(tocOutline).sort((a, b) => a.page - b.page);
+        let s = 0, depth = 0;
+        for (let i = 1; i <= totalPages; i++) {
+            while (s < sections.length && sections[s].page <= i) {
+                const sec = sections[s++];
+                const head = document.createElement("li"); head.className = "toc-section"; head.textContent = sec.title; head.title = sec.title; head.tabIndex = -1;
+                head.style.paddingLeft = `${14 + sec.depth * 14}px`;
+                head.addEventListener("click", () => { goToPage(sec.page); if (window.innerWidth < 900) closeSidebar(); });
+                pageList.appendChild(head);
+                depth = sec.depth + 1;
             }
-        } catch (e) { console.warn("SCORM init error", e); }
+            const li = document.createElement("li"); li.className = "page-item"; li.dataset.page = i; li.tabIndex = -1;
+            li.style.paddingLeft = `${14 + depth * 14}px`;
+            const thumb = document.createElement("div"); thumb.className = "page-thumb";
+            const label = document.createElement("span"); label.className = "page-label"; label.textContent = pageLabel(i);
+            if (pageTitles[i - 1]) label.title = pageTitles[i - 1];
+            const status = document.createElement("span"); status.className = "page-status"; status.setAttribute("aria-hidden", "true");
+            thumb.appendChild(status); li.appendChild(thumb); li.appendChild(label);
+            li.addEventListener("click", () => { goToPage(i); if (window.innerWidth < 900) closeSidebar(); });
+            pageList.appendChild(li);
+        }
+        refreshPageListStatus();
+        // thumbnails fill in as items scroll into view
+        if (window.pageThumbnails) pageThumbnails.attach(pageList, sidebar, slideDeck ? { slides: slideDeck, base: slidesBase } : { pdf: pdfDoc });
     }
 
-    function getSCORMValue(a, b) {
-        if (!scormAPI) return "";
-        try {
-            if (scormVersion === "1.2") return scormAPI.LMSGetValue(a) || "";
-            return scormAPI.GetValue(b) || "";
-        } catch (e) { return ""; }
+    // sequential mode: only visited pages, the current one and the next one are reachable
+    function isPageLocked(pageNumber) {
+        if (!window.Config || !Config.slideSequenceLocked) return false;
+        // an unanswered quiz blocks every page after it
+        if (quizzes.some(q => !quizResults[q.id] && pageNumber > q.afterPage)) return true;
+        // the current page has to count as viewed first (completion.minPageSeconds)
+        if (pageNumber === currentPage + 1 && !visitedPages[currentPage - 1]) return true;
+        return pageNumber !== currentPage && pageNumber !== currentPage + 1 && !visitedPages[pageNumber - 1];
     }
-    function setSCORMValue(a, b, v) {
-        if (!scormAPI) return;
-        try {
-            if (scormVersion === "1.2") scormAPI.LMSSetValue(a, String(v));
-            else scormAPI.SetValue(b, String(v));
-        } catch (e) { }
+
+    function refreshPageListStatus() {
+        const items = pageList.querySelectorAll(".page-item");
+        // keyboard focus enters the list at the current page (unless it is already inside)
+        const roving = !pageList.contains(document.activeElement);
+        if (roving) pageList.querySelectorAll(".toc-section").forEach(head => { head.tabIndex = -1; });
+        items.forEach(item => {
+            const page = parseInt(item.dataset.page, 10);
+            const visited = visitedPages[page - 1] || false;
+            const locked = isPageLocked(page);
+            item.classList.toggle("active", page === currentPage);
+            item.classList.toggle("locked", locked);
+            item.setAttribute("aria-label", pageItemLabel(page));
+            if (page === currentPage) item.setAttribute("aria-current", "page"); else item.removeAttribute("aria-current");
+            if (locked) item.setAttribute("aria-disabled", "true"); else item.removeAttribute("aria-disabled");
+            if (roving) item.tabIndex = page === currentPage ? 0 : -1;
+            const statusSpan = item.querySelector(".page-status");
+            statusSpan.classList.remove("visited", "not-visited", "locked");
+            if (visited) { statusSpan.classList.add("visited"); statusSpan.textContent = "✔"; } else if (locked) { statusSpan.classList.add("locked"); statusSpan.innerHTML = "&#128274;"; } else { statusSpan.classList.add("not-visited"); statusSpan.textContent = "●"; }
+        });
     }
-    function commitSCORM() {
-        if (!scormAPI) return;
-        try {
-            if (scormVersion === "1.2") scormAPI.LMSCommit && scormAPI.LMSCommit("");
-            else scormAPI.Commit && scormAPI.Commit("");
-        } catch (e) { }
+
+    // ---------------- rendering ----------------
+    // One render at a time: a newer request cancels the one in flight (pdf.js RenderTask.cancel), so fast Next
+    // clicks end on the last page asked for. Pages are drawn offscreen and copied to the canvas when complete;
+    // the neighbours of the shown page are drawn ahead of time, so flipping to them is instant.
+    const PREFETCH_PAGES = 1;                 // ahead and behind the shown page
+    const PREFETCH_MAX_PIXELS = 8388608;      // no prefetch for pages zoomed beyond this (memory)
+    const RESIZE_DEBOUNCE_MS = 150;
+    const CANCELLED = new Error("Render cancelled");
+
+    let wantedPage = 0;       // page the canvas should show
+    let shownPage = 0;        // page on the canvas (pageShown() done)
+    let renderJob = null;     // { page, cancelled, abort }
+    let prefetchJob = null;
+    const prefetched = new Map();   // page -> { key, canvas } at the current size
+    let resizeTimer = null;
+
+    // image mode: smallest pre-rendered width that covers the drawn size
+    function pickSlideImage(entry, drawWidth) {
+        const widths = slideDeck.widths.slice().sort((a, b) => a - b);
+        const w = widths.find(x => x >= drawWidth) || widths[widths.length - 1];
+        return slidesBase + "/" + entry.images[w];
     }
-    function terminateSCORM() {
-        if (!scormAPI) return;
-        try {
-            if (scormVersion === "1.2") scormAPI.LMSFinish && scormAPI.LMSFinish("");
-            else scormAPI.Terminate && scormAPI.Terminate("");
-        } catch (e) { }
+
+    // css px per page unit: fit page, fit width or the custom zoom of js/viewer-zoom.js
+    function pageScale(pageWidth, pageHeight) {
+        if (window.viewerZoom) return viewerZoom.scaleFor(pageWidth, pageHeight);
+        const scale = Math.min(canvasWrapper.clientWidth / pageWidth, canvasWrapper.clientHeight / pageHeight);
+        return isFinite(scale) && scale > 0 ? scale : 1;
+    }
+    function pixelRatio(cssWidth, cssHeight) { return window.viewerZoom ? viewerZoom.outputScale(cssWidth, cssHeight) : (window.devicePixelRatio || 1); }
+
+    // size of a page at the current zoom: css px on screen, backing store in device pixels (crisp text on HiDPI screens)
+    function measurePage(pageNumber) {
+        const layout = (source, cssWidth, cssHeight, scale) => {
+            const ratio = pixelRatio(cssWidth, cssHeight);
+            return { source: source, cssWidth: cssWidth, cssHeight: cssHeight, scale: scale, ratio: ratio, width: Math.round(cssWidth * ratio), height: Math.round(cssHeight * ratio) };
+        };
+        if (slideDeck) {
+            const entry = slideDeck.pages[pageNumber - 1];
+            let drawWidth = pageScale(entry.aspect, 1) * entry.aspect;
+            if (!isFinite(drawWidth) || drawWidth <= 0) drawWidth = slideDeck.widths[0];
+            return Promise.resolve(layout(entry, drawWidth, drawWidth / entry.aspect, 1));
+        }
+        return pdfDoc.getPage(pageNumber).then(page => {
+            const unscaledViewport = page.getViewport({ scale: 1 });
+            const scale = pageScale(unscaledViewport.width, unscaledViewport.height);
+            return layout(page, unscaledViewport.width * scale, unscaledViewport.height * scale, scale);
+        });
+    }
+    const layoutKey = (layout) => `${layout.width}x${layout.height}`;
+
+    // the page drawn on a canvas of its own; job.abort() stops it (the promise then rejects with CANCELLED)
+    function paintOffscreen(layout, job) {
+        const out = document.createElement("canvas");
+        out.width = layout.width; out.height = layout.height;
+        const outCtx = out.getContext("2d");
+        if (slideDeck) {
+            return new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => { outCtx.drawImage(img, 0, 0, out.width, out.height); resolve(out); };
+                img.onerror = () => reject(new Error("Slide image failed to load: " + img.src));
+                job.abort = () => { img.onload = img.onerror = null; reject(CANCELLED); };
+                img.src = pickSlideImage(layout.source, layout.width);
+            });
+        }
+        const viewport = layout.source.getViewport({ scale: layout.scale });
+        const task = layout.source.render({ canvasContext: outCtx, viewport: viewport, transform: [layout.ratio, 0, 0, layout.ratio, 0, 0] });
+        job.abort = () => task.cancel();
+        return task.promise.then(() => out);
     }
-    window.addEventListener("beforeunload", terminateSCORM);
 
-    // --- Helpers ---
-    function logStatus(msg) {
-        // lightweight status logging (player.html can show on-screen if desired)
-        try { console.log("[player] " + msg); } catch (e) { }
+    function cancelJob(job) { if (!job) return; job.cancelled = true; if (job.abort) job.abort(); }
+    function cancelPrefetch() { cancelJob(prefetchJob); prefetchJob = null; }
+
+    // finished offscreen page onto the visible canvas
+    function showPage(layout, out) {
+        canvas.width = out.width; canvas.height = out.height;
+        canvas.style.width = Math.round(layout.cssWidth) + "px"; canvas.style.height = Math.round(layout.cssHeight) + "px";
+        if (window.viewerZoom) viewerZoom.drawn();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(out, 0, 0);
     }
 
-    function clearCanvas() {
-        try {
-            ctx.clearRect(0, 0, canvas.width || 0, canvas.height || 0);
-        } catch (e) { }
+    // prefetched copy when it has the current size, else drawn now
+    function drawPage(pageNumber, job) {
+        return measurePage(pageNumber).then(layout => {
+            if (job.cancelled) throw CANCELLED;
+            const cached = prefetched.get(pageNumber);
+            if (cached && cached.key === layoutKey(layout)) return showPage(layout, cached.canvas);
+            return paintOffscreen(layout, job).then(out => {
+                if (job.cancelled) throw CANCELLED;
+                prefetched.set(pageNumber, { key: layoutKey(layout), canvas: out });
+                showPage(layout, out);
+            });
+        });
+    }
+
+    // draws wantedPage; the page-view bookkeeping (pageShown) only when the page changed
+    function startRender() {
+        const pageNumber = wantedPage;
+        const job = renderJob = { page: pageNumber, cancelled: false, abort: null };
+        drawPage(pageNumber, job).then(() => {
+            if (job.cancelled) return;
+            renderJob = null;
+            const changed = shownPage !== pageNumber;
+            shownPage = pageNumber;
+            if (changed) pageShown(pageNumber);
+            prefetchAround(pageNumber);
+        }, e => {
+            if (job.cancelled) return;
+            renderJob = null;
+            console.error("Render error:", e);
+            emit("error", { stage: "render", error: e });
+        });
     }
 
-    // Rendering a page with fit-to-screen logic
     function renderPage(pageNumber) {
-        if (!pdfDoc || isRendering) return;
-        if (currPage === pageNumber) return;
-        currPage = pageNumber;
-        isRendering = true;
-
-        pdfDoc.getPage(pageNumber).then((page) => {
-            // available viewport are window dims
-            const wrapperW = window.innerWidth || document.documentElement.clientWidth;
-            const wrapperH = window.innerHeight || document.documentElement.clientHeight;
-
-            const unscaled = page.getViewport({ scale: 1 });
-            const pdfW = unscaled.width;
-            const pdfH = unscaled.height;
-
-            let scale = Math.min(wrapperW / pdfW, wrapperH / pdfH);
-            if (!isFinite(scale) || scale <= 0) scale = 1;
-
-            const viewport = page.getViewport({ scale });
-
-            canvas.width = viewport.width;
-            canvas.height = viewport.height;
-
-            const renderContext = {
-                canvasContext: ctx,
-                viewport: viewport
-            };
-
-            // clear before render
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-            page.render(renderContext).promise.then(() => {
-                isRendering = false;
-                // mark visited
-                if (!visitedPages[pageNumber - 1]) visitedPages[pageNumber - 1] = true;
-                // save simple progress to SCORM
-                try {
-                    const dataString = visitedPages.map(v => v ? "1" : "0").join("");
-                    setSCORMValue("cmi.suspend_data", "cmi.suspend_data", dataString);
-                    setSCORMValue("cmi.core.lesson_location", "cmi.location", String(pageNumber));
-                    commitSCORM();
-                } catch (e) { }
-            }).catch((err) => {
-                console.error("Render error", err);
-                isRendering = false;
+        if (!pdfDoc && !slideDeck) return;
+        if (wantedPage === pageNumber) return;
+        wantedPage = pageNumber;
+        if (window.sessionTime) sessionTime.setPage(pageNumber);
+        cancelJob(renderJob); cancelPrefetch();
+        startRender();
+        updateNavButtons();
+        updatePageInfo(); refreshPageListStatus();
+    }
+
+    // the wanted page again at a new size (zoom, fullscreen, window resize); prefetched copies are stale
+    function redrawPage() {
+        if ((!pdfDoc && !slideDeck) || wantedPage < 1) return;
+        cancelJob(renderJob); cancelPrefetch();
+        prefetched.clear();
+        startRender();
+    }
+
+    // neighbours of the shown page, one at a time while nothing else renders; farther pages are dropped
+    function prefetchAround(pageNumber) {
+        prefetched.forEach((_, page) => { if (Math.abs(page - pageNumber) > PREFETCH_PAGES) prefetched.delete(page); });
+        const pages = [];
+        for (let d = 1; d <= PREFETCH_PAGES; d++) pages.push(pageNumber + d, pageNumber - d);
+        const queue = pages.filter(p => p >= 1 && p <= totalPages);
+        const next = () => {
+            const page = queue.shift();
+            if (!page || renderJob) return;
+            const job = prefetchJob = { page: page, cancelled: false, abort: null };
+            measurePage(page).then(layout => {
+                if (job.cancelled) throw CANCELLED;
+                const cached = prefetched.get(page);
+                if ((cached && cached.key === layoutKey(layout)) || layout.width * layout.height > PREFETCH_MAX_PIXELS) return;
+                return paintOffscreen(layout, job).then(out => { if (!job.cancelled) prefetched.set(page, { key: layoutKey(layout), canvas: out }); });
+            }).catch(e => { if (!job.cancelled) console.warn("Prefetch error", e); }).then(() => {
+                if (prefetchJob !== job) return;
+                prefetchJob = null;
+                next();
             });
-        }).catch((err) => {
-            console.error("getPage error", err);
-            isRendering = false;
+        };
+        next();
+    }
+
+    function goToPage(pageNumber) {
+        if (pageNumber < 1 || pageNumber > totalPages) {
+            return; // Ensure valid page range
+        }
+        // If slides are locked (sequential), only visited slides and the next one can be opened
+        if (isPageLocked(pageNumber)) {
+            if (window.playerA11y) playerA11y.announce(`${pageLabel(pageNumber)} is locked`);
+            return;
+        }
+
+        currentPage = pageNumber;
+        renderPage(currentPage);
+    }
+
+    // ---------------- quizzes ----------------
+    // multi-document packages pass ?document=N
+    function launchDocument() { return parseInt(new URLSearchParams(window.location.search).get("document"), 10) || 1; }
+
+    // Config.quizzes entries for this document
+    function quizzesForDocument() {
+        if (!window.Config || !Array.isArray(Config.quizzes) || !window.quizPlayer) return [];
+        const doc = launchDocument();
+        return Config.quizzes.filter(q => (q.document || 1) === doc && q.afterPage <= totalPages);
+    }
+
+    function pendingQuizAfter(pageNumber) {
+        return quizzes.find(q => q.afterPage === pageNumber && !quizResults[q.id]) || null;
+    }
+
+    function updateNavButtons() {
+        prevBtn.disabled = currentPage <= 1;
+        // on the last page, Next still opens a quiz placed after it
+        nextBtn.disabled = currentPage >= totalPages && !pendingQuizAfter(currentPage);
+    }
+
+    // percent over all quiz questions, once every quiz of the document has been answered
+    function quizScore() {
+        if (!quizzes.length || !quizzes.every(q => quizResults[q.id])) return null;
+        let correct = 0, total = 0;
+        quizzes.forEach(q => { quizResults[q.id].forEach(c => { total++; if (c) correct++; }); });
+        return total ? Math.round((correct / total) * 100) : 0;
+    }
+
+    // LMS mastery score wins over Config.masteryScore
+    function masteryScore() {
+        if (scormVersion === "1.2") {
+            const lms = parseFloat(getSCORMValue("cmi.student_data.mastery_score", null));
+            if (!isNaN(lms)) return lms;
+        } else {
+            const lms = parseFloat(getSCORMValue(null, "cmi.scaled_passing_score"));
+            if (!isNaN(lms)) return lms * 100;
+        }
+        return window.Config && typeof Config.masteryScore === "number" ? Config.masteryScore : 80;
+    }
+
+    function saveQuizToSCORM(quiz, result) {
+        if (!scormAPI) return;
+        const is12 = scormVersion === "1.2";
+        const now = new Date();
+        result.answers.forEach(a => {
+            const n = parseInt(getSCORMValue("cmi.interactions._count", "cmi.interactions._count"), 10) || 0;
+            const p = `cmi.interactions.${n}.`;
+            const data = quizPlayer.interaction(a.question, a.response, scormVersion);
+            // id and type first: LMSs reject the other fields of an interaction without them
+            setSCORMValue(p + "id", p + "id", `${quiz.id}_${a.question.id}`);
+            setSCORMValue(p + "type", p + "type", data.type);
+            setSCORMValue(p + "student_response", p + "learner_response", data.response);
+            setSCORMValue(p + "correct_responses.0.pattern", p + "correct_responses.0.pattern", data.pattern);
+            setSCORMValue(p + "result", p + "result", a.correct ? "correct" : (is12 ? "wrong" : "incorrect"));
+            setSCORMValue(p + "weighting", p + "weighting", "1");
+            setSCORMValue(p + "time", null, now.toTimeString().slice(0, 8));
+            // UTC with its "Z"; SCORM allows at most two decimals of a second
+            setSCORMValue(null, p + "timestamp", now.toISOString().replace(/(\.\d\d)\dZ$/, "$1Z"));
+            setSCORMValue(null, p + "description", a.question.prompt.slice(0, 250));
         });
+    }
 
-        // no UI buttons here; exposing currentPage for external nav if needed
+    async function openQuiz(quiz) {
+        const result = await quizPlayer.open(quiz, { dismissible: !Config.slideSequenceLocked });
+        if (!result) return false;
+        quizResults[quiz.id] = result.correct;
+        saveQuizToSCORM(quiz, result);
+        saveProgress(currentPage);
+        updateNavButtons(); refreshPageListStatus();
+        return true;
     }
 
-    // Validate PDF url (simple)
-    function normalizePdfUrl(url) {
-        if (!url) return null;
-        // if url is relative and starts with data/ keep as-is
-        return url;
+    // Next: a quiz placed after the current page comes first
+    async function goNext() {
+        // sequential mode: nothing past the current page until it counts as viewed
+        if (window.Config && Config.slideSequenceLocked && !visitedPages[currentPage - 1]) {
+            if (window.playerA11y && totalPages) playerA11y.announce("Stay on this slide a little longer before moving on");
+            return;
+        }
+        const quiz = pendingQuizAfter(currentPage);
+        if (quiz && !(await openQuiz(quiz))) return;
+        if (currentPage < totalPages) goToPage(currentPage + 1);
     }
 
-    // Destroy previous pdfDoc safely
-    function destroyPdfDoc() {
-        try {
-            if (pdfDoc && typeof pdfDoc.destroy === "function") {
-                pdfDoc.destroy();
-            }
-        } catch (e) { /* ignore */ }
-        pdfDoc = null;
+    // ---------------- narration ----------------
+    // Config.media entries for this document (data/media/ in packages, uploaded files in the editor)
+    function mediaForDocument() {
+        if (!window.Config || !Array.isArray(Config.media) || !window.slideMedia) return [];
+        const doc = launchDocument();
+        return Config.media.filter(m => (m.document || 1) === doc && m.page <= totalPages);
     }
 
-    // MAIN: start viewer with pdfUrl (exposed)
-    async function startViewerWithPdf(pdfUrl) {
-        try {
-            logStatus("Preparing to load PDF...");
-            const url = normalizePdfUrl(pdfUrl);
-            if (!url) {
-                logStatus("No valid PDF URL supplied");
-                throw new Error("No PDF URL");
-            }
+    function showPageMedia(pageNumber) {
+        if (window.slideMedia) slideMedia.show(mediaItems.find(m => m.page === pageNumber) || null);
+    }
 
-            // cleanup previous
-            destroyPdfDoc();
-            clearCanvas();
-            currPage = -1;
-            isRendering = false;
-            currentPage = 1;
-            totalPages = 0;
-            visitedPages = [];
+    // played to the end: counts for completion.media, then Config.mediaAutoAdvance moves on
+    function mediaEnded(item) {
+        if (!mediaDone[item.page - 1]) { mediaDone[item.page - 1] = true; saveProgress(currentPage); }
+        if (window.Config && Config.mediaAutoAdvance && currentPage === item.page) goNext();
+    }
 
-            // remember last url
-            lastPdfUrl = url;
-            window.lastLoadedPdfUrl = url;
+    // ---------------- completion rules ----------------
+    let priorSeconds = 0;       // active time of earlier sessions (suspend_data)
+    let priorPageSeconds = [];  // same, per page
+    let dwellTimer = null;
+    let sessionTimer = null;
 
-            // init scorm API (may be no-op if standalone)
-            initSCORM();
+    function totalSeconds() {
+        return priorSeconds + (window.sessionTime ? Math.floor(sessionTime.activeSeconds()) : 0);
+    }
 
-            logStatus("Loading PDF: " + url);
-            const loadingTask = pdfjsLib.getDocument(url);
-            const pdf = await loadingTask.promise;
+    function pageSecondsList() {
+        return visitedPages.map((_, i) => (priorPageSeconds[i] || 0) + (window.sessionTime ? Math.round(sessionTime.pageSeconds(i + 1)) : 0));
+    }
+
+    function completionState() {
+        return completionRules.evaluate({
+            visitedPages: visitedPages,
+            totalSeconds: totalSeconds(),
+            quizCount: quizzes.length,
+            quizzesAnswered: quizzes.filter(q => quizResults[q.id]).length,
+            quizScore: quizScore(),
+            masteryScore: masteryScore(),
+            mediaPages: mediaItems.map(m => m.page),
+            mediaFinished: mediaDone
+        });
+    }
+
+    // screen readers: canvas label, page change announcement, page text (slides.json in image mode, else pdf.js)
+    function describePage(pageNumber) {
+        const label = `Slide ${pageNumber} of ${totalPages}` + (pageTitles[pageNumber - 1] ? `: ${pageTitles[pageNumber - 1]}` : "");
+        canvas.setAttribute("aria-label", label);
+        if (!window.playerA11y) return;
+        playerA11y.announce(label);
+        playerA11y.setPageText("");
+        if (slideDeck) playerA11y.setPageText(slideDeck.pages[pageNumber - 1].text || "");
+        else if (window.pdfOutline) {
+            const doc = pdfDoc;
+            pdfOutline.readPageText(doc, pageNumber).then(text => { if (pdfDoc === doc && currentPage === pageNumber) playerA11y.setPageText(text); })
+                .catch(e => console.warn("Page text error", e));
+        }
+    }
+
+    // a page counts as viewed once it has stayed on screen for completion.minPageSeconds
+    function pageShown(pageNumber) {
+        describePage(pageNumber);
+        showPageMedia(pageNumber);
+        emit("pageChanged", { page: pageNumber, totalPages: totalPages });
+        clearTimeout(dwellTimer);
+        const dwell = completionRules.rules().minPageSeconds;
+        if (!dwell || visitedPages[pageNumber - 1]) return markPageVisited(pageNumber);
+        dwellTimer = setTimeout(() => { if (currentPage === pageNumber) markPageVisited(pageNumber); }, dwell * 1000);
+    }
+
+    // completion.minSessionSeconds can be reached without any page change: re-save once it has passed.
+    // Only active time counts, so the check is repeated while the learner is away or idle
+    function scheduleSessionCheck() {
+        clearTimeout(sessionTimer);
+        const remaining = completionRules.rules().minSessionSeconds - totalSeconds();
+        if (remaining > 0) sessionTimer = setTimeout(() => { saveProgress(currentPage); scheduleSessionCheck(); }, remaining * 1000 + 500);
+    }
+
+    function markPageVisited(pageNumber) { if (!visitedPages[pageNumber - 1]) visitedPages[pageNumber - 1] = true; updateProgressUI(); refreshPageListStatus(); saveProgress(pageNumber); }
+
+    // every progress change: LMS, LRS and the completed event (once per session)
+    function saveProgress(pageNumber) {
+        const newlyCompleted = !wasCompleted && totalPages > 0 && completionState().completed;
+        saveProgressToSCORM(); saveProgressToXAPI(pageNumber, newlyCompleted);
+        if (!newlyCompleted) return;
+        wasCompleted = true;
+        emit("completed", { score: quizScore() });
+    }
 
+    // ---------------- sidebar ----------------
+    function openSidebar() { sidebar.classList.add("open"); toggleTocBtn.setAttribute("aria-expanded", "true"); }
+    // focus inside the closing sidebar goes back to the menu button
+    function closeSidebar() { const hadFocus = sidebar.contains(document.activeElement); sidebar.classList.remove("open"); toggleTocBtn.setAttribute("aria-expanded", "false"); if (hadFocus) toggleTocBtn.focus(); }
+    function toggleSidebar() { if (sidebar.classList.contains("open")) { closeSidebar(); return; } openSidebar(); const current = pageList.querySelector(".page-item.active") || pageList.querySelector("li"); if (current) current.focus(); }
+
+    // ---------------- sources ----------------
+    function loadPdfJs() {
+        if (window.pdfjsLib) return Promise.resolve(window.pdfjsLib);
+        return new Promise((resolve, reject) => {
+            const s = document.createElement("script");
+            s.src = "js/pdf.min.js";
+            s.onload = () => { pdfjsLib.GlobalWorkerOptions.workerSrc = "js/pdf.worker.min.js"; resolve(pdfjsLib); };
+            s.onerror = () => reject(new Error("Failed to load js/pdf.min.js"));
+            document.head.appendChild(s);
+        });
+    }
+
+    function looksLikePdfByExtension(url) { try { const u = new URL(url); return /\.pdf(\?.*)?$/i.test(u.pathname) || /\.pdf$/i.test(u.pathname); } catch (e) { return /\.pdf(\?.*)?$/i.test(url) || /\.pdf$/i.test(url); } }
+    async function headContentTypeIsPdf(url) { try { const resp = await fetch(url, { method: "HEAD" }); const ct = resp.headers.get("content-type") || ""; return ct.toLowerCase().includes("application/pdf"); } catch (e) { console.warn("HEAD request failed", e); throw e; } }
+    function isSameOrigin(url) { try { const u = new URL(url, window.location.href); return u.origin === window.location.origin; } catch (e) { return false; } }
+
+    // office conversions are queued server-side: poll /jobs/:id until the pdf is ready
+    async function waitForConversionJob(job) {
+        let j = job;
+        while (!j.pdf) {
+            if (j.status === "failed") throw new Error("Conversion failed: " + (j.error || "unknown error"));
+            if (!j.jobId) throw new Error("Server response missing 'pdf' field");
+            setStatus(j.status === "running" ? "Converting..." : "Waiting for converter...");
+            await new Promise(r => setTimeout(r, 1500));
+            const resp = await fetch(`/jobs/${encodeURIComponent(j.jobId)}`, { headers: { Accept: "application/json" } });
+            if (!resp.ok) { const txt = await resp.text().catch(() => ""); throw new Error(`Server returned ${resp.status} ${txt}`); }
+            j = await resp.json();
+        }
+        return j;
+    }
+
+    async function resolveSource(source) {
+        const src = source || (window.Config && Config.pptUrl) || null;
+        if (!src) throw new Error("No source specified");
+        if (src.startsWith("data:") || src.startsWith("blob:")) return src;
+        if (looksLikePdfByExtension(src)) { if (isSameOrigin(src)) { setStatus("Detected PDF (same-origin) — loading directly"); return src; } else { setStatus("Detected PDF (external) — proxying"); return `/proxy?url=${encodeURIComponent(src)}`; } }
+        try { setStatus("Checking content-type of source..."); const isPdf = await headContentTypeIsPdf(src); if (isPdf) { if (isSameOrigin(src)) { setStatus("Detected PDF by content-type — loading directly"); return src; } else { setStatus("Detected PDF by content-type — proxying"); return `/proxy?url=${encodeURIComponent(src)}`; } } } catch (e) { setStatus("Could not verify content-type (CORS?) — will try convert"); }
+        setStatus("Requesting server to convert to PDF...");
+        const resp = await fetch(`/render?url=${encodeURIComponent(src)}`, { method: "GET", headers: { Accept: "application/json" } });
+        if (!resp.ok) { const txt = await resp.text().catch(() => ""); throw new Error(`Server returned ${resp.status} ${txt}`); }
+        const j = await waitForConversionJob(await resp.json());
+        setStatus("Server converted to PDF");
+        return j.pdf;
+    }
+
+    // proxied sources: pdf.js fetches byte ranges / streams instead of downloading the whole file first.
+    // No cache-busting there, so the proxy's ETag / 304 handling can work.
+    function pdfSourceParams(url, cacheBusted) {
+        if (!/^\/proxy\?/.test(url)) return cacheBusted;
+        return { url: url, disableRange: false, disableStream: false, disableAutoFetch: true, rangeChunkSize: 256 * 1024 };
+    }
+
+    function resetViewer() {
+        if (window.pageThumbnails) pageThumbnails.detach();
+        cancelJob(renderJob); cancelPrefetch();
+        renderJob = null; wantedPage = 0; shownPage = 0; prefetched.clear();
+        try { if (pdfDoc && typeof pdfDoc.destroy === "function") pdfDoc.destroy(); } catch (e) { }
+        clearTimeout(dwellTimer); clearTimeout(sessionTimer);
+        if (window.slideMedia) slideMedia.show(null);
+        mediaItems = []; mediaDone = [];
+        pdfDoc = null; pdfUrl = null; slideDeck = null; tocOutline = []; pageTitles = []; quizzes = []; quizResults = {}; priorSeconds = 0; priorPageSeconds = []; wasCompleted = false; currentPage = 1; totalPages = 0; visitedPages = []; ctx.clearRect(0, 0, canvas.width || 0, canvas.height || 0); pageList.innerHTML = ""; updatePageInfo(); updateProgressUI();
+    }
+
+    function showLoadError(what, err) {
+        console.error(`Failed to load ${what}:`, err);
+        setStatus(`Failed to load ${what}`);
+        ctx.clearRect(0, 0, canvas.width || 0, canvas.height || 0);
+        try { ctx.font = "14px sans-serif"; ctx.fillStyle = "#333"; ctx.fillText(`Failed to load ${what}.`, 10, 30); } catch (e) { }
+        emit("error", { stage: "load", error: err });
+    }
+
+    async function loadPdf(url) {
+        try {
+            setStatus("Preparing to load PDF...");
+            const cacheBusted = url + (/\?/.test(url) ? "&" : "?") + "_=" + Date.now();
+            resetViewer();
+
+            setStatus("Loading PDF...");
+            await loadPdfJs();
+            const loadingTask = pdfjsLib.getDocument(pdfSourceParams(url, cacheBusted));
+            const pdf = await loadingTask.promise;
             pdfDoc = pdf;
+            pdfUrl = url;
             totalPages = pdf.numPages;
-            // default visitedPages array
-            visitedPages = Array(totalPages).fill(false);
-
-            // try to read suspend_data and last location from SCORM
-            try {
-                const suspend = getSCORMValue("cmi.suspend_data", "cmi.suspend_data");
-                if (suspend && suspend.length === totalPages) {
-                    visitedPages = suspend.split("").map(c => c === "1");
-                }
-                const lastLoc = parseInt(getSCORMValue("cmi.core.lesson_location", "cmi.location"), 10);
-                if (!isNaN(lastLoc) && lastLoc >= 1 && lastLoc <= totalPages) {
-                    currentPage = lastLoc;
-                } else {
-                    currentPage = 1;
-                }
-            } catch (e) { /* ignore */ }
+            await startSession();
+            setReady();
+        } catch (err) {
+            showLoadError("PDF", err);
+        }
+    }
 
-            // render first page (or last saved)
-            renderPage(currentPage);
-            logStatus("PDF loaded. pages=" + totalPages);
+    // image mode: slides pre-rendered by the server (data/slides/slides.json), no pdf.js needed
+    async function loadSlides(slidesDir) {
+        try {
+            setStatus("Loading slides...");
+            resetViewer();
+            const resp = await fetch(slidesDir + "/slides.json");
+            if (!resp.ok) throw new Error("slides.json returned " + resp.status);
+            slideDeck = await resp.json();
+            slidesBase = slidesDir;
+            totalPages = slideDeck.pages.length;
+            await startSession();
+            setReady();
         } catch (err) {
-            console.error("startViewerWithPdf error:", err);
-            // show on-canvas message if desired
-            clearCanvas();
-            const ctxMsg = ctx;
-            try {
-                ctxMsg.font = "14px sans-serif";
-                ctxMsg.fillStyle = "#333";
-                ctxMsg.fillText("Failed to load PDF.", 10, 30);
-            } catch (e) { }
-            throw err;
+            showLoadError("slides", err);
         }
     }
 
-    // expose nav helpers (optional)
-    window.playerViewer = window.playerViewer || {};
-    window.playerViewer.getState = function () {
-        return { pdfLoaded: !!pdfDoc, lastPdfUrl: lastPdfUrl, totalPages, currentPage };
-    };
-    window.playerViewer.next = function () {
-        if (!pdfDoc) return;
-        if (currentPage < totalPages) { currentPage++; renderPage(currentPage); }
-    };
-    window.playerViewer.prev = function () {
-        if (!pdfDoc) return;
-        if (currentPage > 1) { currentPage--; renderPage(currentPage); }
-    };
+    async function loadFromLaunch() {
+        setStatus("Preparing viewer...");
+        const params = new URLSearchParams(window.location.search);
+        const qpdf = params.get("pdf");
+        const qslides = params.get("slides");
+        if (qslides || (!qpdf && window.Config && Config.slidesDir)) {
+            await loadSlides(qslides || "data/" + Config.slidesDir);
+            return true;
+        }
+        let pdfToLoad = null;
+        if (qpdf) pdfToLoad = qpdf;
+        else if (window.Config && Config.filename) pdfToLoad = "data/" + Config.filename;
+        else if (window.Config && Config.pptUrl) pdfToLoad = Config.pptUrl;
+        else return false;
+        await loadPdf(await resolveSource(pdfToLoad));
+        return true;
+    }
 
-    // expose function to global
-    window.startViewerWithPdf = startViewerWithPdf;
+    // document loaded (either mode): restore SCORM / xAPI state and show the first page
+    async function startSession() {
+        visitedPages = Array(totalPages).fill(false);
+        quizzes = quizzesForDocument();
+        mediaItems = mediaForDocument();
+        mediaDone = Array(totalPages).fill(false);
 
-    // also expose a destroy util
-    window.playerViewer.destroy = function () {
-        destroyPdfDoc();
-        clearCanvas();
-    };
+        if (window.Config && Config.sidebarDefaultOpen) openSidebar();
+        else closeSidebar();
 
-    // Resize handling: re-render current page on resize (basic)
-    window.addEventListener("resize", function () {
-        if (pdfDoc && currentPage) {
-            // force re-render
-            currPage = -1;
-            renderPage(currentPage);
+        let savedPage = NaN;
+        initSCORM();
+        if (scormAPI) {
+            try {
+                const saved = suspendData.decode(getSCORMValue("cmi.suspend_data", "cmi.suspend_data"), totalPages, documentFingerprint());
+                if (saved.changed) console.info("Progress was saved for another version of this document; keeping it page by page");
+                visitedPages = saved.visited;
+                if (window.quizPlayer) quizResults = quizPlayer.parse(saved.quizzes);
+                priorSeconds = saved.seconds;
+                priorPageSeconds = saved.pageSeconds;
+                mediaDone = saved.mediaDone;
+                // a location saved in a longer version of the document resumes on the last page
+                savedPage = Math.min(parseInt(getSCORMValue("cmi.core.lesson_location", "cmi.location"), 10) || saved.lastPage, totalPages);
+
+                reconcileScormStatus(completionState().completed);
+                markAttemptStarted();
+            } catch (e) { console.warn("SCORM restore error", e); }
+        }
+        // no saved location: start where the launch url points (?page=)
+        const launchPage = parseInt(new URLSearchParams(window.location.search).get("page"), 10);
+        if (!isNaN(savedPage) && savedPage >= 1 && savedPage <= totalPages) currentPage = savedPage;
+        else if (!isNaN(launchPage) && launchPage >= 1 && launchPage <= totalPages) currentPage = launchPage;
+        else currentPage = 1;
+        wasCompleted = completionState().completed;
+        if (window.sessionTime) sessionTime.start();
+        scheduleSessionCheck();
+
+        if (tracking && window.xapiTracker) await xapiTracker.initialize();
+
+        // table of contents: bookmarks + page titles (from slides.json in image mode, else read with pdf.js)
+        if (slideDeck) {
+            tocOutline = slideDeck.outline || [];
+            pageTitles = slideDeck.pages.map(p => p.title || null);
+        } else if (window.pdfOutline) {
+            try { tocOutline = await pdfOutline.readOutline(pdfDoc); } catch (e) { console.warn("Outline read error", e); tocOutline = []; }
         }
-    }, { passive: true });
 
+        buildPageList(); updateProgressUI(); updatePageInfo(); renderPage(currentPage);
+        if (!slideDeck && window.pdfOutline) { const doc = pdfDoc; pdfOutline.readPageTitles(doc, setPageTitle, () => pdfDoc !== doc); }
+        emit("loaded", { totalPages: totalPages, mode: slideDeck ? "images" : "pdf", pdfUrl: pdfUrl });
+    }
+
+    // ---------------- progress ----------------
+    // SCORM 1.2 CMIString4096 / 2004 characterstring SPM 64000
+    const SUSPEND_DATA_LIMIT_12 = 4096;
+    const SUSPEND_DATA_LIMIT_2004 = 64000;
+
+    // identifies the document version in suspend_data (pdf.js fingerprint; slides.json carries the same value)
+    function documentFingerprint() {
+        if (slideDeck) return slideDeck.fingerprint || "";
+        return (pdfDoc && pdfDoc.fingerprints && pdfDoc.fingerprints[0]) || "";
+    }
+
+    function saveProgressToSCORM() {
+        if (!scormAPI || !totalPages || visitedPages.length !== totalPages) return;
+        const dataString = suspendData.encode({
+            fingerprint: documentFingerprint(),
+            visited: visitedPages,
+            lastPage: currentPage,
+            seconds: totalSeconds(),
+            quizzes: window.quizPlayer ? quizPlayer.serialize(quizResults) : "",
+            pageSeconds: pageSecondsList(),
+            mediaDone: mediaDone
+        }, scormVersion === "1.2" ? SUSPEND_DATA_LIMIT_12 : SUSPEND_DATA_LIMIT_2004);
+        try {
+            setSCORMValue("cmi.suspend_data", "cmi.suspend_data", dataString);
+            setSCORMValue("cmi.core.lesson_location", "cmi.location", String(currentPage));
+            // session_time is the time of this session only; the LMS adds it to total_time
+            if (window.sessionTime) {
+                const seconds = sessionTime.activeSeconds();
+                setSCORMValue("cmi.core.session_time", "cmi.session_time", scormVersion === "1.2" ? sessionTime.scorm12(seconds) : sessionTime.iso8601(seconds));
+            }
+
+            const score = quizScore();
+            if (score !== null) {
+                setSCORMValue("cmi.core.score.raw", "cmi.score.raw", score);
+                setSCORMValue("cmi.core.score.min", "cmi.score.min", 0);
+                setSCORMValue("cmi.core.score.max", "cmi.score.max", 100);
+                setSCORMValue(null, "cmi.score.scaled", (score / 100).toFixed(2));
+            }
+
+            // 2004 tracks progress, completion and success separately; 1.2 folds them into lesson_status
+            const state = completionState();
+            setSCORMValue(null, "cmi.progress_measure", state.progress.toFixed(2));
+            if (state.success !== "unknown") setSCORMValue(null, "cmi.success_status", state.success);
+
+            if (state.completed) {
+                setSCORMValue("cmi.core.lesson_status", null, score === null ? "completed" : state.success);
+                setSCORMValue(null, "cmi.completion_status", "completed");
+            } else if (state.failed) {
+                setSCORMValue("cmi.core.lesson_status", null, "failed");
+            } else {
+                const currentStatus = getSCORMValue("cmi.core.lesson_status", "cmi.completion_status");
+                if (currentStatus === "completed" || currentStatus === "passed") {
+                    setSCORMValue("cmi.core.lesson_status", "cmi.completion_status", "incomplete");
+                }
+            }
+            commitSCORM();
+        } catch (e) { console.warn("saveProgressToSCORM error", e); }
+    }
+
+    // same visitedPages tracking as saveProgressToSCORM, reported as xAPI statements; "completed" only when
+    // this session reached completion (cmi5 allows one per registration, a relaunch must not repeat it)
+    function saveProgressToXAPI(pageNumber, newlyCompleted) {
+        if (!tracking || !window.xapiTracker || !xapiTracker.isActive()) return;
+        if (!totalPages || visitedPages.length !== totalPages) return;
+        xapiTracker.progressed(pageNumber, visitedPages);
+        if (newlyCompleted) xapiTracker.completed();
+    }
+
+    // ---------------- public ----------------
+    let initialized = false;
+    function init(options) {
+        if (initialized) return;
+        initialized = true;
+        tracking = !options || options.tracking !== false;
+        showTitle();
+
+        toggleTocBtn.addEventListener("click", toggleSidebar);
+        closeTocBtn.addEventListener("click", closeSidebar);
+        document.addEventListener("click", (e) => { if (!sidebar.classList.contains("open")) return; const clickInsideSidebar = sidebar.contains(e.target); const clickOnToggle = toggleTocBtn.contains(e.target); if (!clickInsideSidebar && !clickOnToggle && window.innerWidth < 900) closeSidebar(); });
+
+        prevBtn.addEventListener("click", () => { if (currentPage > 1) goToPage(currentPage - 1); });
+        nextBtn.addEventListener("click", goNext);
+
+        // keyboard (arrows, PageUp / PageDown, Home / End), swipes on the slide, arrow keys in the table of contents
+        if (window.playerA11y) playerA11y.attach({
+            viewer: canvasWrapper,
+            list: pageList,
+            actions: {
+                prev: () => goToPage(currentPage - 1), next: goNext, first: () => goToPage(1), last: () => goToPage(totalPages), closeToc: closeSidebar,
+                canSwipe: () => !(window.viewerZoom && viewerZoom.isZoomed())
+            }
+        });
+
+        // zoom buttons, pinch / ctrl + wheel zoom, drag to pan, fullscreen
+        if (window.viewerZoom) viewerZoom.attach({
+            wrapper: canvasWrapper,
+            canvas: canvas,
+            controls: {
+                zoomIn: document.getElementById("zoomInBtn"), zoomOut: document.getElementById("zoomOutBtn"), label: document.getElementById("zoomLevel"),
+                fitWidth: document.getElementById("fitWidthBtn"), fitPage: document.getElementById("fitPageBtn"), fullscreen: document.getElementById("fullscreenBtn")
+            },
+            onChange: redrawPage
+        });
+
+        // narration of the page on screen
+        if (window.slideMedia) slideMedia.attach({ bar: document.getElementById("mediaBar"), onEnded: mediaEnded });
+
+        // one redraw once the window has stopped changing size
+        window.addEventListener("resize", () => { updateNavPosition(); clearTimeout(resizeTimer); resizeTimer = setTimeout(redrawPage, RESIZE_DEBOUNCE_MS); });
+
+        if (!tracking) return;
+        // beforeunload is not fired reliably (mobile, bfcache): also finish on pagehide and save when the tab is hidden
+        window.addEventListener("beforeunload", terminateSCORM);
+        window.addEventListener("pagehide", terminateSCORM);
+        document.addEventListener("visibilitychange", () => {
+            if (document.visibilityState !== "hidden" || !scormAPI || scormTerminated) return;
+            saveProgressToSCORM();
+            if (window.scormQueue) scormQueue.flush();
+        });
+        if (window.scormQueue) scormQueue.onChange(state => { const el = document.getElementById("saveStatus"); if (el) el.hidden = !state.failing; });
+    }
+
+    function refresh() {
+        showTitle();
+        applyTheme();
+        if (!totalPages) return;
+        mediaItems = mediaForDocument();
+        if (shownPage) showPageMedia(shownPage);
+        updateNavButtons(); refreshPageListStatus();
+    }
+
+    function state() {
+        return {
+            currentPage: currentPage,
+            totalPages: totalPages,
+            visitedPages: visitedPages.slice(),
+            mode: slideDeck ? "images" : pdfDoc ? "pdf" : null,
+            pdfUrl: pdfUrl,
+            completed: totalPages ? completionState().completed : false
+        };
+    }
+
+    window.playerViewer = {
+        init: init,
+        loadFromLaunch: loadFromLaunch,
+        loadPdf: loadPdf,
+        loadSlides: loadSlides,
+        resolveSource: resolveSource,
+        waitForConversionJob: waitForConversionJob,
+        goToPage: goToPage,
+        next: goNext,
+        prev: () => goToPage(currentPage - 1),
+        state: state,
+        refresh: refresh,
+        applyTheme: applyTheme,
+        setStatus: setStatus,
+        openSidebar: openSidebar,
+        closeSidebar: closeSidebar,
+        on: on
+    };
 })();
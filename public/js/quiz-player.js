@@ -0,0 +1,189 @@
+// public/js/quiz-player.js
+// Knowledge-check quizzes for player.html (definitions come from Config.quizzes, see lib/quizzes.js)
+// Exposes window.quizPlayer
+//   open(quiz, { dismissible })   shows the quiz overlay; resolves with { answers, correct } or null when dismissed
+//                                 before submitting (closing after Submit keeps the submitted result)
+//   grade(question, response)     true when the response is correct
+//   interaction(question, response, scormVersion)  SCORM-formatted { type, response, pattern }
+//   serialize(results) / parse(text)  results map (quiz id -> [bool per question]) for suspend_data
+
+(function () {
+    const letter = (i) => String.fromCharCode(97 + i);
+
+    function grade(question, response) {
+        if (response === null || response === undefined) return false;
+        switch (question.type) {
+            case "multiple-choice":
+            case "true-false":
+                return response === question.correct;
+            case "multiple-response":
+                return response.length === question.correct.length && response.every((r, i) => r === question.correct[i]);
+            case "fill-in": {
+                const given = String(response).trim().toLowerCase();
+                return question.correct.some(a => a.toLowerCase() === given);
+            }
+        }
+        return false;
+    }
+
+    // 1.2 and 2004 differ in delimiters and true-false tokens
+    function interaction(question, response, scormVersion) {
+        const is12 = scormVersion === "1.2";
+        switch (question.type) {
+            case "multiple-choice":
+                return { type: "choice", response: letter(response), pattern: letter(question.correct) };
+            case "multiple-response": {
+                const sep = is12 ? "," : "[,]";
+                return { type: "choice", response: response.map(letter).join(sep), pattern: question.correct.map(letter).join(sep) };
+            }
+            case "true-false": {
+                const tf = (v) => (is12 ? (v ? "t" : "f") : (v ? "true" : "false"));
+                return { type: "true-false", response: tf(response), pattern: tf(question.correct) };
+            }
+            default:
+                return { type: "fill-in", response: String(response).trim().slice(0, 255), pattern: question.correct[0] };
+        }
+    }
+
+    // "quizA=101;quizB=11"
+    function serialize(results) {
+        return Object.keys(results).map(id => id + "=" + results[id].map(c => (c ? "1" : "0")).join("")).join(";");
+    }
+
+    function parse(text) {
+        const results = {};
+        (text || "").split(";").forEach(part => {
+            const m = part.match(/^([A-Za-z0-9_-]+)=([01]+)$/);
+            if (m) results[m[1]] = m[2].split("").map(c => c === "1");
+        });
+        return results;
+    }
+
+    function el(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    function renderQuestion(question, qIndex) {
+        const fieldset = el("fieldset", "quiz-question");
+        fieldset.appendChild(el("legend", null, `${qIndex + 1}. ${question.prompt}`));
+        const name = "quiz_q_" + question.id;
+
+        function option(type, value, labelText) {
+            const label = el("label", "quiz-option");
+            const input = document.createElement("input");
+            input.type = type; input.name = name; input.value = value;
+            label.appendChild(input); label.appendChild(document.createTextNode(" " + labelText));
+            fieldset.appendChild(label);
+        }
+
+        if (question.type === "multiple-choice") question.choices.forEach((c, i) => option("radio", i, c));
+        else if (question.type === "multiple-response") question.choices.forEach((c, i) => option("checkbox", i, c));
+        else if (question.type === "true-false") { option("radio", "true", "True"); option("radio", "false", "False"); }
+        else {
+            const input = document.createElement("input");
+            input.type = "text"; input.name = name; input.className = "quiz-fill-in"; input.autocomplete = "off";
+            fieldset.appendChild(input);
+        }
+        fieldset.appendChild(el("div", "quiz-question-feedback"));
+        return fieldset;
+    }
+
+    // current answer of one question, or null while unanswered
+    function readResponse(fieldset, question) {
+        const inputs = Array.prototype.slice.call(fieldset.querySelectorAll("input"));
+        if (question.type === "fill-in") return inputs[0].value.trim() || null;
+        const checked = inputs.filter(i => i.checked).map(i => i.value);
+        if (!checked.length) return null;
+        if (question.type === "multiple-response") return checked.map(Number).sort((a, b) => a - b);
+        if (question.type === "true-false") return checked[0] === "true";
+        return Number(checked[0]);
+    }
+
+    function open(quiz, options) {
+        const dismissible = Boolean(options && options.dismissible);
+        return new Promise((resolve) => {
+            const opener = document.activeElement;   // gets the focus back when the dialog closes
+            const overlay = el("div", "quiz-overlay");
+            const card = el("div", "quiz-card");
+            card.setAttribute("role", "dialog");
+            card.setAttribute("aria-modal", "true");
+            card.setAttribute("aria-label", quiz.title);
+
+            const header = el("div", "quiz-header");
+            header.appendChild(el("h3", "quiz-title", quiz.title));
+            if (dismissible) {
+                const close = el("button", "quiz-close");
+                close.type = "button"; close.innerHTML = "&times;"; close.setAttribute("aria-label", "Close");
+                close.addEventListener("click", () => finish(result));   // null until submitted
+                header.appendChild(close);
+            }
+            card.appendChild(header);
+
+            const form = el("form", "quiz-form");
+            const fieldsets = quiz.questions.map((q, i) => form.appendChild(renderQuestion(q, i)));
+            card.appendChild(form);
+
+            const summary = el("div", "quiz-summary");
+            summary.setAttribute("role", "status");
+            const actions = el("div", "quiz-actions");
+            const submit = el("button", "nav-btn primary", "Submit");
+            submit.type = "submit";
+            actions.appendChild(submit);
+            form.appendChild(summary);
+            form.appendChild(actions);
+
+            let result = null;
+            form.addEventListener("submit", (e) => {
+                e.preventDefault();
+                if (result) return finish(result);
+
+                const responses = quiz.questions.map((q, i) => readResponse(fieldsets[i], q));
+                if (responses.some(r => r === null)) { summary.textContent = "Please answer every question."; return; }
+
+                const answers = quiz.questions.map((q, i) => ({ question: q, response: responses[i], correct: grade(q, responses[i]) }));
+                result = { answers: answers, correct: answers.map(a => a.correct) };
+
+                answers.forEach((a, i) => {
+                    fieldsets[i].classList.add(a.correct ? "correct" : "incorrect");
+                    fieldsets[i].querySelector(".quiz-question-feedback").textContent = a.correct ? "Correct" : "Incorrect";
+                    Array.prototype.forEach.call(fieldsets[i].querySelectorAll("input"), inp => { inp.disabled = true; });
+                });
+                const score = result.correct.filter(Boolean).length;
+                summary.textContent = `${score} of ${answers.length} correct`;
+                submit.textContent = "Continue";
+                submit.focus();
+            });
+
+            function finish(value) {
+                document.removeEventListener("keydown", onKey);
+                overlay.remove();
+                if (opener && opener.focus && document.contains(opener)) opener.focus();
+                resolve(value);
+            }
+            // Tab cycles inside the dialog
+            function trapFocus(e) {
+                const focusable = Array.prototype.filter.call(card.querySelectorAll("button, input"), n => !n.disabled);
+                if (!focusable.length) return;
+                const first = focusable[0], last = focusable[focusable.length - 1];
+                if (!card.contains(document.activeElement)) { e.preventDefault(); first.focus(); }
+                else if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+                else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+            }
+            function onKey(e) {
+                if (e.key === "Escape" && dismissible) finish(result);
+                else if (e.key === "Tab") trapFocus(e);
+            }
+            document.addEventListener("keydown", onKey);
+
+            overlay.appendChild(card);
+            document.body.appendChild(overlay);
+            const first = card.querySelector("input");
+            if (first) first.focus();
+        });
+    }
+
+    window.quizPlayer = { open: open, grade: grade, interaction: interaction, serialize: serialize, parse: parse };
+})();
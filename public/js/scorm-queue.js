@@ -0,0 +1,160 @@
+// public/js/scorm-queue.js
+// Commit queue between the player and the LMS API (SCORM 1.2 API / 2004 API_1484_11)
+// Exposes window.scormQueue
+//   attach(api, version)     replays values a previous session could not commit, then starts queueing
+//   set(element, value)      SetValue with error checking; the value stays queued until a commit succeeds
+//   commit()                 Commit; on failure the queue is kept in localStorage and retried with backoff
+//   flush()                  commit now if anything is queued (pagehide / tab hidden)
+//   detach()                 stop retrying (after LMSFinish / Terminate); unsent values stay in localStorage
+//   onChange(fn)             fn({ pending, failing, error }) whenever the save state changes
+//
+// Values the LMS rejects as invalid (wrong element, read-only, bad type or range) are logged and
+// dropped: sending them again would fail the same way.
+
+(function () {
+    const RETRY_SECONDS = [2, 5, 10, 30, 60];
+    // 201 invalid argument, 401-408 data model errors (1.2 uses 401-405, 2004 up to 408)
+    const PERMANENT_ERRORS = ["201", "401", "402", "403", "404", "405", "406", "407", "408"];
+    // replaying these into a later session would misreport it
+    const SESSION_ONLY = ["cmi.core.session_time", "cmi.session_time", "cmi.core.exit", "cmi.exit"];
+
+    // STATE
+    let api = null;
+    let version = null;
+    let storageKey = null;
+    let pending = new Map();
+    let failing = false;
+    let lastError = null;
+    let attempt = 0;
+    let retryTimer = null;
+    const listeners = [];
+
+    function call(name12, name2004) {
+        const fn = api[version === "1.2" ? name12 : name2004];
+        if (typeof fn !== "function") return "false";
+        return String(fn.apply(api, Array.prototype.slice.call(arguments, 2)));
+    }
+
+    function errorInfo() {
+        try {
+            const code = call("LMSGetLastError", "GetLastError");
+            return { code: code, text: call("LMSGetErrorString", "GetErrorString", code) };
+        } catch (e) {
+            return { code: "101", text: e.message };
+        }
+    }
+
+    function notify() {
+        const state = { pending: pending.size, failing: failing, error: lastError };
+        listeners.forEach(fn => { try { fn(state); } catch (e) { console.warn("scormQueue listener error", e); } });
+    }
+
+    function store() {
+        if (!storageKey) return;
+        try {
+            const values = [];
+            pending.forEach((value, element) => { if (!SESSION_ONLY.includes(element)) values.push([element, value]); });
+            if (values.length) localStorage.setItem(storageKey, JSON.stringify(values));
+            else localStorage.removeItem(storageKey);
+        } catch (e) { /* storage disabled or full: the queue still lives in memory */ }
+    }
+
+    function restore() {
+        try {
+            const values = JSON.parse(localStorage.getItem(storageKey) || "[]");
+            return Array.isArray(values) ? values.filter(v => Array.isArray(v) && v.length === 2) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // returns false only for a value that can never be stored
+    function send(element, value) {
+        let ok = false;
+        try { ok = call("LMSSetValue", "SetValue", element, value) === "true"; } catch (e) { ok = false; }
+        if (ok) return true;
+        const err = errorInfo();
+        if (PERMANENT_ERRORS.includes(err.code)) {
+            console.warn(`LMS rejected ${element}="${value}": ${err.code} ${err.text}`);
+            pending.delete(element);
+            return false;
+        }
+        lastError = err;
+        return true;
+    }
+
+    function set(element, value) {
+        if (!api) return false;
+        value = String(value);
+        pending.delete(element);   // re-insert so the newest values are sent last on a retry
+        pending.set(element, value);
+        return send(element, value);
+    }
+
+    function scheduleRetry() {
+        clearTimeout(retryTimer);
+        const delay = RETRY_SECONDS[Math.min(attempt, RETRY_SECONDS.length - 1)];
+        attempt++;
+        retryTimer = setTimeout(retry, delay * 1000);
+    }
+
+    // values may have been lost with the connection: send the whole queue again before committing
+    function retry() {
+        if (!api || !pending.size) return;
+        Array.from(pending.entries()).forEach(([element, value]) => send(element, value));
+        commit();
+    }
+
+    function commit() {
+        if (!api) return false;
+        clearTimeout(retryTimer);
+        store();
+        let ok = false;
+        try { ok = call("LMSCommit", "Commit", "") === "true"; } catch (e) { ok = false; }
+        if (ok) {
+            pending.clear();
+            store();
+            failing = false; lastError = null; attempt = 0;
+        } else {
+            lastError = errorInfo();
+            console.warn(`LMS commit failed: ${lastError.code} ${lastError.text}`);
+            failing = true;
+            scheduleRetry();
+        }
+        notify();
+        return ok;
+    }
+
+    function flush() {
+        if (api && pending.size) commit();
+    }
+
+    function attach(lmsApi, scormVersion) {
+        api = lmsApi; version = scormVersion;
+        pending = new Map(); failing = false; lastError = null; attempt = 0;
+        clearTimeout(retryTimer);
+        let learner = "";
+        try { learner = call("LMSGetValue", "GetValue", version === "1.2" ? "cmi.core.student_id" : "cmi.learner_id"); } catch (e) { }
+        // every SCO of a multi-document package frames the same player.html: ?document= tells them apart
+        const documentIndex = new URLSearchParams(window.location.search).get("document") || "1";
+        storageKey = "scormQueue:" + learner + ":" + window.location.pathname + ":" + documentIndex;
+
+        const saved = restore();
+        if (saved.length) {
+            console.info(`Re-sending ${saved.length} SCORM values that were not committed last time`);
+            saved.forEach(([element, value]) => set(element, value));
+            commit();
+        }
+    }
+
+    function detach() {
+        clearTimeout(retryTimer);
+        api = null;
+    }
+
+    function onChange(fn) { listeners.push(fn); }
+
+    window.addEventListener("online", () => { if (failing) retry(); });
+
+    window.scormQueue = { attach: attach, detach: detach, set: set, commit: commit, flush: flush, onChange: onChange };
+})();
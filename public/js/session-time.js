@@ -0,0 +1,80 @@
+// public/js/session-time.js
+// Active time tracking for player.html (cmi.core.session_time / cmi.session_time, per-page dwell times)
+// Exposes window.sessionTime
+//   start()              resets the clock for a new session
+//   setPage(n)           time from now on is credited to page n
+//   activeSeconds()      active time of this session
+//   pageSeconds(n)       active time spent on page n in this session
+//   scorm12(s) / iso8601(s)   CMITimespan (HHHH:MM:SS.SS) and ISO 8601 duration (PT#H#M#S)
+//
+// Time only counts while the tab is visible and the learner has interacted within IDLE_SECONDS.
+
+(function () {
+    const IDLE_SECONDS = 5 * 60;
+    const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart", "scroll"];
+
+    // STATE
+    let started = false;
+    let visible = true;
+    let lastTick = 0;          // time up to which activeMs has been accounted
+    let lastInput = 0;
+    let activeMs = 0;
+    let page = 0;
+    let pageMs = {};
+
+    // credit the time since the last tick, stopping IDLE_SECONDS after the last input
+    function accrue() {
+        const now = Date.now();
+        if (started && visible) {
+            const delta = Math.max(0, Math.min(now, lastInput + IDLE_SECONDS * 1000) - lastTick);
+            activeMs += delta;
+            if (page) pageMs[page] = (pageMs[page] || 0) + delta;
+        }
+        lastTick = now;
+    }
+
+    function onActivity() {
+        accrue();
+        lastInput = Date.now();
+    }
+
+    function onVisibilityChange() {
+        accrue();
+        visible = document.visibilityState !== "hidden";
+        if (visible) lastInput = Date.now();
+    }
+
+    function start() {
+        if (!started) {
+            ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, onActivity, { passive: true, capture: true }));
+            document.addEventListener("visibilitychange", onVisibilityChange);
+        }
+        started = true;
+        visible = document.visibilityState !== "hidden";
+        lastTick = lastInput = Date.now();
+        activeMs = 0; page = 0; pageMs = {};
+    }
+
+    function setPage(pageNumber) { accrue(); page = pageNumber; }
+    function activeSeconds() { accrue(); return activeMs / 1000; }
+    function pageSeconds(pageNumber) { accrue(); return (pageMs[pageNumber] || 0) / 1000; }
+
+    function split(seconds) {
+        const cs = Math.round(Math.max(0, seconds) * 100);
+        return { h: Math.floor(cs / 360000), m: Math.floor(cs / 6000) % 60, s: (cs % 6000) / 100 };
+    }
+
+    // SCORM 1.2 CMITimespan; hours are limited to 4 digits
+    function scorm12(seconds) {
+        const t = split(Math.min(seconds, 9999 * 3600 + 59 * 60 + 59.99));
+        const pad = (n, len) => String(n).padStart(len, "0");
+        return pad(t.h, 4) + ":" + pad(t.m, 2) + ":" + pad(t.s.toFixed(2), 5);
+    }
+
+    function iso8601(seconds) {
+        const t = split(seconds);
+        return "PT" + (t.h ? t.h + "H" : "") + (t.m ? t.m + "M" : "") + Number(t.s.toFixed(2)) + "S";
+    }
+
+    window.sessionTime = { start: start, setPage: setPage, activeSeconds: activeSeconds, pageSeconds: pageSeconds, scorm12: scorm12, iso8601: iso8601 };
+})();
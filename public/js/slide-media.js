@@ -0,0 +1,64 @@
+// public/js/slide-media.js
+// Narration bar of player.html: the audio / video recorded for the page on screen (Config.media)
+// Exposes window.slideMedia
+//   attach({ bar, onEnded })   bar: element the player goes into, hidden while the page has no narration
+//                              onEnded(item): the narration of `item` has played to the end
+//   show(item)                 item: { page, src, type: "audio" | "video" } or null; starts playing it.
+//                              The same item again keeps playing where it is
+//
+// Browsers block sound until the learner has interacted with the page: the first narration may then
+// wait for its play button (announced to screen readers).
+
+(function () {
+    let bar = null;
+    let onEnded = () => { };
+    let current = null;     // item being played
+    let player = null;      // its <audio> / <video>
+
+    function clear() {
+        if (!player) return;
+        player.pause();
+        player.removeAttribute("src");
+        player.remove();
+        player = null;
+    }
+
+    function play() {
+        let started;
+        try { started = player.play(); } catch (e) { console.warn("Narration could not start:", e); return; }
+        if (!started || !started.catch) return;
+        started.catch(err => {
+            if (err.name === "NotAllowedError") { if (window.playerA11y) playerA11y.announce("Press play to hear the narration"); }
+            else if (err.name !== "AbortError") console.warn("Narration could not start:", err);
+        });
+    }
+
+    function show(item) {
+        if (!bar) return;
+        if (item && current && item.src === current.src && item.page === current.page) return;
+        clear();
+        current = item || null;
+        bar.hidden = !current;
+        if (!current) return;
+
+        const shown = current;
+        player = document.createElement(shown.type === "video" ? "video" : "audio");
+        player.controls = true;
+        player.preload = "auto";
+        if (shown.type === "video") player.setAttribute("playsinline", "");
+        player.setAttribute("aria-label", `Narration for slide ${shown.page}`);
+        player.addEventListener("ended", () => { if (current === shown) onEnded(shown); });
+        player.addEventListener("error", () => console.warn("Narration failed to load:", shown.src));
+        player.src = shown.src;
+        bar.appendChild(player);
+        play();
+    }
+
+    function attach(options) {
+        bar = options.bar || null;
+        onEnded = options.onEnded || onEnded;
+        if (bar) bar.hidden = true;
+    }
+
+    window.slideMedia = { attach: attach, show: show };
+})();
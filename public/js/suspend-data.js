@@ -0,0 +1,115 @@
+// public/js/suspend-data.js
+// Versioned cmi.suspend_data format for player.html and player-viewer.js
+// Exposes window.suspendData
+//   encode(state, maxLength)               state: { fingerprint, visited, lastPage, seconds, quizzes, pageSeconds, mediaDone }
+//   decode(text, totalPages, fingerprint)  the saved state fitted to totalPages, plus { version, changed }
+//
+// v2   "v2|<fingerprint>|<page count>|<visited>|<last page>|<seconds>|<quiz results>|<seconds per page>[|<narrations>]"
+//      numbers are base 36, visited is a base64url bitset (6 pages per character) and the per-page
+//      times are comma separated with zeros left empty. Narrations (pages whose narration played to
+//      the end, same bitset) only appear once one has finished. Per-page times are dropped first
+//      when the text would exceed maxLength (4096 characters in SCORM 1.2).
+// Still read: "0101…" (visited pages, written by the first player).
+//
+// When the page count or the document fingerprint differ from the saved ones (the deck was
+// republished), progress is kept page by page: pages that still exist keep their visited bit, time and
+// narration, pages past the saved count start unvisited, and the last page is clamped to the new count.
+// Only text that cannot be parsed starts over.
+
+(function () {
+    const VERSION = 2;
+    const BASE64URL = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+    const FINGERPRINT_LENGTH = 12;
+
+    function packBits(bits) {
+        let out = "";
+        for (let i = 0; i < bits.length; i += 6) {
+            let v = 0;
+            for (let b = 0; b < 6; b++) if (bits[i + b]) v |= 1 << b;
+            out += BASE64URL[v];
+        }
+        return out;
+    }
+
+    function unpackBits(text, count) {
+        const bits = [];
+        for (let i = 0; i < count; i++) {
+            const v = BASE64URL.indexOf(text.charAt(Math.floor(i / 6)));
+            bits.push(v > 0 && (v & (1 << (i % 6))) !== 0);
+        }
+        return bits;
+    }
+
+    const base36 = (n) => Math.max(0, Math.round(n || 0)).toString(36);
+    const fromBase36 = (text) => parseInt(text, 36) || 0;
+    const shortFingerprint = (fp) => (fp ? String(fp).replace(/[^A-Za-z0-9]/g, "").slice(0, FINGERPRINT_LENGTH) : "");
+
+    // pad / cut a per-page list to the current page count
+    function fit(list, count, empty) {
+        const out = list.slice(0, count);
+        while (out.length < count) out.push(empty);
+        return out;
+    }
+
+    function encode(state, maxLength) {
+        const head = [
+            "v" + VERSION,
+            shortFingerprint(state.fingerprint),
+            base36(state.visited.length),
+            packBits(state.visited),
+            base36(state.lastPage),
+            base36(state.seconds),
+            state.quizzes || ""
+        ].join("|");
+        const times = (state.pageSeconds || []).map(s => (s > 0 ? base36(s) : "")).join(",").replace(/,+$/, "");
+        const media = (state.mediaDone || []).some(Boolean) ? "|" + packBits(state.mediaDone) : "";
+        const full = head + "|" + times + media;
+        if (!maxLength || full.length <= maxLength) return full;
+        if (head.length + 1 + media.length > maxLength) console.warn("suspend_data exceeds " + maxLength + " characters; the LMS may reject it");
+        return head + "|" + media;
+    }
+
+    function parse(text) {
+        const parts = text.split("|");
+        if (parts[0] === "v" + VERSION) {
+            const pageCount = fromBase36(parts[2]);
+            return {
+                version: VERSION,
+                fingerprint: parts[1] || "",
+                pageCount: pageCount,
+                visited: unpackBits(parts[3] || "", pageCount),
+                lastPage: fromBase36(parts[4]),
+                seconds: fromBase36(parts[5]),
+                quizzes: parts[6] || "",
+                pageSeconds: parts[7] ? parts[7].split(",").map(fromBase36) : [],
+                mediaDone: unpackBits(parts[8] || "", pageCount)
+            };
+        }
+        if (/^[01]+$/.test(text)) {
+            return { version: 1, fingerprint: "", pageCount: text.length, visited: text.split("").map(c => c === "1"), lastPage: 0, seconds: 0, quizzes: "", pageSeconds: [], mediaDone: [] };
+        }
+        return null;
+    }
+
+    function decode(text, totalPages, fingerprint) {
+        const saved = text ? parse(text) : null;
+        if (!saved) {
+            if (text) console.warn("Unrecognized suspend_data, starting over");
+            return { version: 0, changed: false, visited: Array(totalPages).fill(false), lastPage: 0, seconds: 0, quizzes: "", pageSeconds: Array(totalPages).fill(0), mediaDone: Array(totalPages).fill(false) };
+        }
+        const current = shortFingerprint(fingerprint);
+        const changed = saved.pageCount !== totalPages || Boolean(saved.fingerprint && current && saved.fingerprint !== current);
+        return {
+            version: saved.version,
+            changed: changed,
+            visited: fit(saved.visited, totalPages, false),
+            lastPage: saved.lastPage >= 1 ? Math.min(saved.lastPage, totalPages) : 0,
+            seconds: saved.seconds,
+            quizzes: saved.quizzes,
+            pageSeconds: fit(saved.pageSeconds, totalPages, 0),
+            mediaDone: fit(saved.mediaDone, totalPages, false)
+        };
+    }
+
+    window.suspendData = { encode: encode, decode: decode };
+})();
@@ -0,0 +1,233 @@
+// public/js/viewer-zoom.js
+// Zoom, pan and fullscreen for the slide canvas of player.html
+// Exposes window.viewerZoom
+//   attach({ wrapper, canvas, controls, onChange })   controls: { zoomIn, zoomOut, fitWidth, fitPage, fullscreen, label }
+//                                       (buttons, any may be missing); onChange() redraws the current page
+//   scaleFor(pageWidth, pageHeight)     css px per page unit for the current mode (fit page, fit width or custom)
+//   outputScale(cssWidth, cssHeight)    canvas pixels per css px: devicePixelRatio, capped for huge zoomed canvases
+//   drawn()                             call once the canvas has its new css size (keeps the zoomed spot in view)
+//   isZoomed()                          the page is larger than the viewer (drag pans instead of swiping)
+//
+// Pinch (touch) and ctrl + wheel (trackpad pinch) zoom around the fingers / pointer; mouse drag pans.
+
+(function () {
+    const MIN_ZOOM = 0.5;     // relative to fit page
+    const MAX_ZOOM = 5;
+    const STEP = 1.25;
+    const MAX_CANVAS_PIXELS = 16777216;   // 4096 x 4096: iOS Safari refuses larger canvases
+    const SCROLLBAR_PX = 16;
+
+    let wrapper = null;
+    let canvas = null;
+    let controls = {};
+    let onChange = () => { };
+
+    let mode = "page";        // "page" | "width" | "custom"
+    let zoom = 1;             // custom mode: multiple of the fit-page scale
+    let fit = { page: 1, width: 1 };   // scales of the last scaleFor() call
+    let anchor = null;        // { fx, fy, cx, cy }: page fraction to keep under viewer point (cx, cy) after a redraw
+
+    const clamp = (z) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, z));
+
+    // current size as a multiple of fit page, whatever the mode
+    function currentZoom() {
+        if (mode === "page") return 1;
+        if (mode === "width") return fit.width / fit.page;
+        return zoom;
+    }
+
+    // room for the page inside the wrapper (its padding excluded)
+    function available() {
+        const style = window.getComputedStyle(wrapper);
+        const padX = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+        const padY = (parseFloat(style.paddingTop) || 0) + (parseFloat(style.paddingBottom) || 0);
+        return { width: Math.max(1, wrapper.clientWidth - padX), height: Math.max(1, wrapper.clientHeight - padY) };
+    }
+
+    function scaleFor(pageWidth, pageHeight) {
+        const room = available();
+        fit.page = Math.min(room.width / pageWidth, room.height / pageHeight);
+        // fit width: leave room for the vertical scrollbar the page is about to get
+        const widthScale = room.width / pageWidth;
+        fit.width = pageHeight * widthScale > room.height ? (room.width - SCROLLBAR_PX) / pageWidth : widthScale;
+        if (!isFinite(fit.page) || fit.page <= 0) fit = { page: 1, width: 1 };
+        updateControls();
+        if (mode === "width") return fit.width;
+        return fit.page * (mode === "custom" ? zoom : 1);
+    }
+
+    function outputScale(cssWidth, cssHeight) {
+        const ratio = window.devicePixelRatio || 1;
+        const pixels = cssWidth * cssHeight * ratio * ratio;
+        return pixels > MAX_CANVAS_PIXELS ? Math.sqrt(MAX_CANVAS_PIXELS / (cssWidth * cssHeight)) : ratio;
+    }
+
+    function isZoomed() {
+        return Boolean(wrapper) && (wrapper.scrollWidth > wrapper.clientWidth + 1 || wrapper.scrollHeight > wrapper.clientHeight + 1);
+    }
+
+    // remember which part of the page sits under viewer point (cx, cy) before the size changes
+    function setAnchor(cx, cy) {
+        const rect = canvas.getBoundingClientRect();
+        const wrect = wrapper.getBoundingClientRect();
+        if (!rect.width || !rect.height) { anchor = null; return; }
+        anchor = { fx: (wrect.left + cx - rect.left) / rect.width, fy: (wrect.top + cy - rect.top) / rect.height, cx: cx, cy: cy };
+    }
+
+    function drawn() {
+        if (!anchor) return;
+        const a = anchor;
+        anchor = null;
+        const rect = canvas.getBoundingClientRect();
+        const wrect = wrapper.getBoundingClientRect();
+        wrapper.scrollLeft += rect.left + a.fx * rect.width - (wrect.left + a.cx);
+        wrapper.scrollTop += rect.top + a.fy * rect.height - (wrect.top + a.cy);
+    }
+
+    // zoom to a multiple of fit page around viewer point (cx, cy), the viewer center by default
+    function zoomTo(z, cx, cy) {
+        const next = clamp(z);
+        if (mode === "custom" && Math.abs(next - zoom) < 0.001) return;
+        setAnchor(cx === undefined ? wrapper.clientWidth / 2 : cx, cy === undefined ? wrapper.clientHeight / 2 : cy);
+        mode = "custom";
+        zoom = next;
+        onChange();
+    }
+
+    function setMode(m) {
+        if (mode === m) return;
+        mode = m;
+        anchor = null;
+        onChange();
+    }
+
+    function updateControls() {
+        const z = currentZoom();
+        if (controls.label) controls.label.textContent = Math.round(z * 100) + "%";
+        if (controls.zoomOut) controls.zoomOut.disabled = z <= MIN_ZOOM + 0.001;
+        if (controls.zoomIn) controls.zoomIn.disabled = z >= MAX_ZOOM - 0.001;
+        if (controls.fitWidth) controls.fitWidth.setAttribute("aria-pressed", String(mode === "width"));
+        if (controls.fitPage) controls.fitPage.setAttribute("aria-pressed", String(mode === "page"));
+    }
+
+    // ---------------- fullscreen ----------------
+    const fullscreenElement = () => document.fullscreenElement || document.webkitFullscreenElement || null;
+
+    function toggleFullscreen() {
+        if (fullscreenElement()) {
+            (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+            return;
+        }
+        const root = document.documentElement;
+        const request = root.requestFullscreen || root.webkitRequestFullscreen;
+        const result = request && request.call(root);
+        if (result && result.catch) result.catch(err => console.warn("Fullscreen refused:", err));
+    }
+
+    function attachFullscreen(button) {
+        // iframes without allowfullscreen (some LMSs) cannot go fullscreen: no button then
+        if (!(document.fullscreenEnabled || document.webkitFullscreenEnabled)) { button.hidden = true; return; }
+        button.addEventListener("click", toggleFullscreen);
+        const changed = () => {
+            const on = Boolean(fullscreenElement());
+            button.setAttribute("aria-pressed", String(on));
+            button.setAttribute("aria-label", on ? "Exit fullscreen" : "Fullscreen");
+            button.title = on ? "Exit fullscreen" : "Fullscreen";
+            onChange();
+        };
+        document.addEventListener("fullscreenchange", changed);
+        document.addEventListener("webkitfullscreenchange", changed);
+    }
+
+    // ---------------- gestures ----------------
+    function attachPinch() {
+        let pinch = null;
+        const distance = (t) => Math.hypot(t[0].clientX - t[1].clientX, t[0].clientY - t[1].clientY);
+        const midpoint = (t) => {
+            const wrect = wrapper.getBoundingClientRect();
+            return { x: (t[0].clientX + t[1].clientX) / 2 - wrect.left, y: (t[0].clientY + t[1].clientY) / 2 - wrect.top };
+        };
+
+        wrapper.addEventListener("touchstart", (e) => {
+            if (e.touches.length !== 2) return;
+            const mid = midpoint(e.touches);
+            pinch = { start: distance(e.touches), zoom: currentZoom(), ratio: 1, x: mid.x, y: mid.y };
+            canvas.style.transformOrigin = `${mid.x - canvas.offsetLeft + wrapper.scrollLeft}px ${mid.y - canvas.offsetTop + wrapper.scrollTop}px`;
+        }, { passive: true });
+
+        // the canvas is only stretched while the fingers move; the page is redrawn sharp at the end
+        wrapper.addEventListener("touchmove", (e) => {
+            if (!pinch || e.touches.length !== 2) return;
+            e.preventDefault();
+            pinch.ratio = clamp(pinch.zoom * distance(e.touches) / pinch.start) / pinch.zoom;
+            canvas.style.transform = `scale(${pinch.ratio})`;
+        }, { passive: false });
+
+        const end = () => {
+            if (!pinch) return;
+            const p = pinch;
+            pinch = null;
+            canvas.style.transform = "";
+            if (Math.abs(p.ratio - 1) > 0.02) zoomTo(p.zoom * p.ratio, p.x, p.y);
+        };
+        wrapper.addEventListener("touchend", (e) => { if (e.touches.length < 2) end(); }, { passive: true });
+        wrapper.addEventListener("touchcancel", end, { passive: true });
+    }
+
+    // trackpad pinch arrives as ctrl + wheel; redraws are coalesced to one per frame
+    function attachWheel() {
+        let pending = null;
+        wrapper.addEventListener("wheel", (e) => {
+            if (!e.ctrlKey) return;
+            e.preventDefault();
+            const wrect = wrapper.getBoundingClientRect();
+            const base = pending ? pending.zoom : currentZoom();
+            pending = { zoom: base * Math.exp(-e.deltaY * 0.01), x: e.clientX - wrect.left, y: e.clientY - wrect.top };
+            if (pending.scheduled) return;
+            pending.scheduled = true;
+            requestAnimationFrame(() => { const p = pending; pending = null; zoomTo(p.zoom, p.x, p.y); });
+        }, { passive: false });
+    }
+
+    function attachDragPan() {
+        let drag = null;
+        wrapper.addEventListener("pointerdown", (e) => {
+            if (e.pointerType !== "mouse" || e.button !== 0 || !isZoomed()) return;
+            drag = { x: e.clientX, y: e.clientY, left: wrapper.scrollLeft, top: wrapper.scrollTop, id: e.pointerId };
+            wrapper.setPointerCapture(e.pointerId);
+            wrapper.classList.add("panning");
+            e.preventDefault();
+        });
+        wrapper.addEventListener("pointermove", (e) => {
+            if (!drag || e.pointerId !== drag.id) return;
+            wrapper.scrollLeft = drag.left - (e.clientX - drag.x);
+            wrapper.scrollTop = drag.top - (e.clientY - drag.y);
+        });
+        const stop = (e) => {
+            if (!drag || e.pointerId !== drag.id) return;
+            drag = null;
+            wrapper.classList.remove("panning");
+        };
+        wrapper.addEventListener("pointerup", stop);
+        wrapper.addEventListener("pointercancel", stop);
+    }
+
+    function attach(options) {
+        wrapper = options.wrapper;
+        canvas = options.canvas;
+        controls = options.controls || {};
+        onChange = options.onChange || onChange;
+
+        if (controls.zoomIn) controls.zoomIn.addEventListener("click", () => zoomTo(currentZoom() * STEP));
+        if (controls.zoomOut) controls.zoomOut.addEventListener("click", () => zoomTo(currentZoom() / STEP));
+        if (controls.fitWidth) controls.fitWidth.addEventListener("click", () => setMode("width"));
+        if (controls.fitPage) controls.fitPage.addEventListener("click", () => setMode("page"));
+        if (controls.fullscreen) attachFullscreen(controls.fullscreen);
+        attachPinch();
+        attachWheel();
+        attachDragPan();
+        updateControls();
+    }
+
+    window.viewerZoom = { attach: attach, scaleFor: scaleFor, outputScale: outputScale, drawn: drawn, isZoomed: isZoomed };
+})();
@@ -0,0 +1,220 @@
+// public/js/xapi-tracker.js
+// xAPI / cmi5 statement sender for player.html
+// Exposes window.xapiTracker (safe no-op when the launch URL carries no LRS info)
+//
+// Two launch styles are recognised from the query string:
+//   cmi5  : endpoint, fetch, actor, registration, activityId
+//   xAPI  : endpoint, auth, actor, activity_id, registration  ("tincan" style launch)
+
+(function () {
+    const XAPI_VERSION = "1.0.3";
+    const VERBS = {
+        launched: "http://adlnet.gov/expapi/verbs/launched",
+        initialized: "http://adlnet.gov/expapi/verbs/initialized",
+        progressed: "http://adlnet.gov/expapi/verbs/progressed",
+        completed: "http://adlnet.gov/expapi/verbs/completed",
+        terminated: "http://adlnet.gov/expapi/verbs/terminated"
+    };
+    const CMI5_CATEGORY = "https://w3id.org/xapi/cmi5/context/categories/cmi5";
+    const MOVEON_CATEGORY = "https://w3id.org/xapi/cmi5/context/categories/moveon";
+    const PROGRESS_EXTENSION = "https://w3id.org/xapi/cmi5/result/extensions/progress";
+    const PAGE_EXTENSION = "https://github.com/agungNCC/scorm-kit/xapi/extensions/page";
+
+    // STATE
+    let launch = null;       // parsed launch params (null = not launched from an LRS)
+    let authHeader = null;
+    let contextTemplate = null;
+    let launchMode = "Normal";
+    let startedAt = 0;
+    let initialized = false;
+    let completedSent = false;
+    let terminatedSent = false;
+    let queue = [];          // statements waiting for the one being sent
+    let sending = false;
+
+    function readLaunchParams() {
+        const params = new URLSearchParams(window.location.search);
+        const endpoint = params.get("endpoint");
+        if (!endpoint) return null;
+
+        let actor = null;
+        try { actor = JSON.parse(params.get("actor") || "null"); } catch (e) { /* ignore */ }
+        if (!actor) return null;
+
+        return {
+            isCmi5: !!params.get("fetch"),
+            endpoint: endpoint.replace(/\/?$/, "/"),
+            fetchUrl: params.get("fetch"),
+            auth: params.get("auth"),
+            actor,
+            registration: params.get("registration") || null,
+            activityId: params.get("activityId") || params.get("activity_id") || window.location.href.split("?")[0]
+        };
+    }
+
+    function uuid() {
+        if (window.crypto && typeof window.crypto.randomUUID === "function") return window.crypto.randomUUID();
+        return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+            const r = Math.random() * 16 | 0;
+            return (c === "x" ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    // ms -> ISO 8601 duration (PT#H#M#S)
+    function isoDuration(ms) {
+        const totalSec = Math.max(0, ms) / 1000;
+        const h = Math.floor(totalSec / 3600);
+        const m = Math.floor((totalSec % 3600) / 60);
+        const s = Math.round((totalSec % 60) * 100) / 100;
+        return `PT${h}H${m}M${s}S`;
+    }
+
+    function headers() {
+        return {
+            "Content-Type": "application/json",
+            "X-Experience-API-Version": XAPI_VERSION,
+            "Authorization": authHeader
+        };
+    }
+
+    // cmi5: exchange the one-time fetch URL for an auth token
+    async function fetchCmi5Token() {
+        const resp = await fetch(launch.fetchUrl, { method: "POST" });
+        if (!resp.ok) throw new Error("cmi5 fetch returned " + resp.status);
+        const j = await resp.json();
+        if (!j["auth-token"]) throw new Error("cmi5 fetch response missing auth-token");
+        return "Basic " + j["auth-token"];
+    }
+
+    // cmi5: LMS.LaunchData state carries contextTemplate + launchMode
+    async function loadCmi5LaunchData() {
+        const qs = new URLSearchParams({
+            stateId: "LMS.LaunchData",
+            activityId: launch.activityId,
+            agent: JSON.stringify(launch.actor)
+        });
+        if (launch.registration) qs.set("registration", launch.registration);
+        const resp = await fetch(launch.endpoint + "activities/state?" + qs.toString(), { headers: headers() });
+        if (!resp.ok) throw new Error("LMS.LaunchData returned " + resp.status);
+        return resp.json();
+    }
+
+    function buildStatement(verb, opts) {
+        const o = opts || {};
+        const context = contextTemplate ? JSON.parse(JSON.stringify(contextTemplate)) : {};
+        if (launch.registration) context.registration = launch.registration;
+        if (launch.isCmi5 && o.cmi5Defined) {
+            const activities = context.contextActivities = context.contextActivities || {};
+            const category = activities.category = activities.category || [];
+            category.push({ id: CMI5_CATEGORY });
+            if (o.moveOn) category.push({ id: MOVEON_CATEGORY });
+        }
+
+        const statement = {
+            id: uuid(),
+            timestamp: new Date().toISOString(),
+            actor: launch.actor,
+            verb: { id: VERBS[verb], display: { "en-US": verb } },
+            object: { id: launch.activityId, objectType: "Activity" },
+            context
+        };
+        if (o.result) statement.result = o.result;
+        return statement;
+    }
+
+    // one statement or an array of them; keepalive lets a request in flight outlive the page
+    function post(body) {
+        const verbs = [].concat(body).map(s => s.verb.id).join(", ");
+        return fetch(launch.endpoint + "statements", {
+            method: "POST",
+            headers: headers(),
+            body: JSON.stringify(body),
+            keepalive: true
+        }).then((resp) => {
+            if (!resp.ok) console.warn("[xapi] LRS rejected statement", verbs, resp.status);
+        }).catch((err) => console.warn("[xapi] send error", err));
+    }
+
+    // statements go out one at a time so the LRS receives them in order
+    function send(statement) {
+        queue.push(statement);
+        if (!sending) sendNext();
+    }
+
+    function sendNext() {
+        const statement = queue.shift();
+        sending = !!statement;
+        if (statement) post(statement).then(sendNext);
+    }
+
+    async function initialize() {
+        if (initialized) return;
+        launch = readLaunchParams();
+        if (!launch) return;
+        initialized = true;
+        startedAt = Date.now();
+
+        try {
+            if (launch.isCmi5) {
+                authHeader = await fetchCmi5Token();
+                try {
+                    const launchData = await loadCmi5LaunchData();
+                    contextTemplate = launchData.contextTemplate || null;
+                    launchMode = launchData.launchMode || "Normal";
+                } catch (e) { console.warn("[xapi] could not read LMS.LaunchData", e); }
+            } else {
+                authHeader = launch.auth;
+                // in cmi5 the LMS sends "launched"; for a plain xAPI launch the content does
+                send(buildStatement("launched"));
+            }
+            send(buildStatement("initialized", { cmi5Defined: true }));
+        } catch (err) {
+            console.warn("[xapi] initialize failed", err);
+            launch = null;
+        }
+    }
+
+    function progressed(pageNumber, visitedPages) {
+        if (!launch || terminatedSent) return;
+        const visitedCount = visitedPages.filter(Boolean).length;
+        const percent = visitedPages.length ? Math.round((visitedCount / visitedPages.length) * 100) : 0;
+        const extensions = {};
+        extensions[PROGRESS_EXTENSION] = percent;
+        extensions[PAGE_EXTENSION] = pageNumber;
+        send(buildStatement("progressed", { result: { extensions } }));
+    }
+
+    function completed() {
+        if (!launch || completedSent || terminatedSent) return;
+        // cmi5: completion must not be recorded in Browse/Review launches
+        if (launch.isCmi5 && launchMode !== "Normal") return;
+        completedSent = true;
+        send(buildStatement("completed", {
+            cmi5Defined: true,
+            moveOn: true,
+            result: { completion: true, duration: isoDuration(Date.now() - startedAt) }
+        }));
+    }
+
+    // runs at pagehide: nothing queued behind a pending request would get its turn, so the
+    // waiting statements and "terminated" are posted right away as one array (which keeps their order)
+    function terminate() {
+        if (!launch || !authHeader || terminatedSent) return;
+        terminatedSent = true;
+        post(queue.splice(0).concat(buildStatement("terminated", {
+            cmi5Defined: true,
+            result: { duration: isoDuration(Date.now() - startedAt) }
+        })));
+    }
+
+    window.addEventListener("pagehide", terminate);
+    window.addEventListener("beforeunload", terminate);
+
+    window.xapiTracker = {
+        initialize,
+        progressed,
+        completed,
+        terminate,
+        isActive: function () { return !!launch; }
+    };
+})();
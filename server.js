@@ -1,6 +1,6 @@
 // server.js
 // Node >= 18 (uses global fetch)
-// Endpoints: static public/, /render, /proxy, /upload, /package
+// Endpoints: static public/, /render, /proxy, /upload, /jobs, /package (SCORM 1.2/2004 or cmi5), /validate, /import, /themes
 import express from "express";
 import morgan from "morgan";
 import multer from "multer";
@@ -12,9 +12,19 @@ import { promisify } from "util";
 import fs from "fs/promises";
 import fsSync from "fs";
 import path from "path";
-import cp from "child_process";
 import { fileURLToPath } from "url";
-import { Readable } from "stream";
+import { createConversionQueue } from "./lib/conversion-queue.js";
+import { createConversionCache, hashFile, validatorsOf } from "./lib/conversion-cache.js";
+import { createArtifactRegistry } from "./lib/artifact-registry.js";
+import { loadFetchPolicy, safeFetch, checkUrl, FetchPolicyError } from "./lib/fetch-policy.js";
+import { rasterizePdf, normalizeRasterOptions } from "./lib/rasterize.js";
+import { normalizeQuizzes, normalizeMasteryScore } from "./lib/quizzes.js";
+import { normalizeCompletionRules } from "./lib/completion-rules.js";
+import { normalizeSlideMedia, mediaType, mediaFile, MEDIA_TYPES, MEDIA_MAX_BYTES } from "./lib/slide-media.js";
+import { createLmsSimulator, LmsSimulatorError } from "./lib/lms-simulator.js";
+import { validateDir, validateZip, listFiles, formatProblems } from "./lib/package-validator.js";
+import { importPackageZip, PackageImportError } from "./lib/package-import.js";
+import { normalizeTheme, createThemeStore, ThemeError, DEFAULT_THEME, THEME_COLOR_KEYS } from "./lib/theme.js";
 
 
 const pump = promisify(pipeline);
@@ -28,10 +38,36 @@ app.use(morgan("dev"));
 const tmpRoot = path.join(__dirname, "tmp");
 await fs.mkdir(tmpRoot, { recursive: true });
 
+// ---------------- artifacts: every workdir under tmp/ is registered with a TTL ----------------
+const FILE_TTL_MS = 1000 * 60 * 30;     // uploaded / converted files
+const JOB_TTL_MS = 1000 * 60 * 60 * 2;  // workdir of a conversion still queued or running
+const PACKAGE_TTL_MS = 1000 * 60 * 5;   // package build dirs, counted from the end of the response
+const LMS_TTL_MS = 1000 * 60 * 60 * 24; // packages loaded into the LMS simulator (extended on use)
+
+const artifacts = createArtifactRegistry({
+    root: tmpRoot,
+    stateFile: path.join(tmpRoot, "artifacts.json"),
+    keep: ["conversion-jobs.json", "conversion-jobs.json.tmp", "soffice-profiles"],
+    defaultTtlMs: FILE_TTL_MS
+});
+const sweptOnStartup = await artifacts.restore();
+if (sweptOnStartup) console.log(`Removed ${sweptOnStartup} stale entries from tmp/`);
+artifacts.startJanitor();
+
 // serve public static files
 const publicDir = path.join(__dirname, "public");
 app.use(express.static(publicDir));
 
+// ---------------- outbound fetch policy (/proxy, /render, /package sources) ----------------
+// see lib/fetch-policy.js and fetch-policy.example.json for the knobs
+const fetchPolicy = loadFetchPolicy();
+
+// policy violations carry their own status (403 host, 413 size, 415 type, 504 timeout)
+function sendFetchError(res, err, label) {
+    if (err instanceof FetchPolicyError) return res.status(err.status).send(err.message);
+    res.status(500).send(label + ": " + (err.message || err));
+}
+
 // ---------------- multer (must be defined BEFORE routes that use it) ----------------
 const uploadStorage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -47,29 +83,140 @@ const upload = multer({
     limits: { fileSize: 200 * 1024 * 1024 }, // 200MB default
 });
 
-// ---------------- helper: convert office->pdf via LibreOffice ----------------
-async function convertToPdf(inputPath, outDir) {
-    return new Promise((resolve, reject) => {
-        const args = ["--headless", "--convert-to", "pdf", "--outdir", outDir, inputPath];
-        const proc = cp.spawn("soffice", args, { stdio: ["ignore", "pipe", "pipe"] });
-
-        let stderr = "";
-        proc.stderr.on("data", (d) => (stderr += d.toString()));
-        proc.on("error", (err) => reject(err));
-        proc.on("close", (code) => {
-            if (code !== 0) return reject(new Error("soffice exit code " + code + " - " + stderr));
-            const pdfPath = path.join(outDir, path.basename(inputPath).replace(path.extname(inputPath), ".pdf"));
-            resolve(pdfPath);
-        });
+// ----------------- /files/:id/:name : files of live artifacts -----------------
+app.get("/files/:id/:name", (req, res) => {
+    const filePath = artifacts.resolve(req.params.id, req.params.name);
+    if (!filePath) return res.status(404).send("Not found");
+    res.sendFile(filePath, { dotfiles: "deny" });
+});
+
+// ---------------- LibreOffice conversion queue ----------------
+// converted PDFs by sha-256 of the source (LRU, survives restarts)
+const conversionCache = await createConversionCache({
+    dir: process.env.CONVERSION_CACHE_DIR || path.join(__dirname, "cache"),
+    maxBytes: (parseInt(process.env.CONVERSION_CACHE_MAX_MB, 10) || 1024) * 1024 * 1024
+});
+
+// cache hit: copy the cached pdf into a fresh served workdir and answer immediately
+async function sendCachedPdf(req, res, cachedPath, sourceName) {
+    const id = uuidv4();
+    const workdir = path.join(tmpRoot, id);
+    await fs.mkdir(workdir, { recursive: true });
+    const pdfName = path.basename(sourceName, path.extname(sourceName)) + ".pdf";
+    await fs.copyFile(cachedPath, path.join(workdir, pdfName));
+
+    artifacts.register(id, workdir, FILE_TTL_MS);
+    res.json({ pdf: `${req.protocol}://${req.get("host")}/files/${id}/${pdfName}`, cached: true });
+}
+
+const conversionQueue = createConversionQueue({
+    stateFile: path.join(tmpRoot, "conversion-jobs.json"),
+    profileRoot: path.join(tmpRoot, "soffice-profiles"),
+    workers: parseInt(process.env.SOFFICE_WORKERS, 10) || 2,
+    timeoutMs: parseInt(process.env.SOFFICE_TIMEOUT_MS, 10) || 1000 * 120,
+    retries: process.env.SOFFICE_RETRIES !== undefined ? parseInt(process.env.SOFFICE_RETRIES, 10) : 1,
+    // /render jobs download their source inside the queue, not in the request;
+    // a source whose bytes are already cached skips soffice
+    prepare: async (job) => {
+        if (job.sourceUrl && !fsSync.existsSync(job.inputPath)) {
+            const resp = await safeFetch(fetchPolicy, job.sourceUrl, { use: "render" });
+            if (!resp.ok) { resp.body.resume(); throw new Error("Failed to download file: " + resp.status); }
+            await pump(resp.body, fsSync.createWriteStream(job.inputPath));
+            job.meta.validators = validatorsOf(resp);
+        }
+        if (!job.meta.sha) job.meta.sha = await hashFile(job.inputPath);
+
+        const cachedPath = conversionCache.get(job.meta.sha);
+        if (!cachedPath) return null;
+        const pdfPath = path.join(job.workdir, path.basename(job.inputPath, path.extname(job.inputPath)) + ".pdf");
+        await fs.copyFile(cachedPath, pdfPath);
+        job.meta.cacheHit = true;
+        return pdfPath;
+    }
+});
+
+conversionQueue.events.on("update", (job) => {
+    if (job.status === "queued" && job.attempts === 0) artifacts.register(job.meta.fileId, job.workdir, JOB_TTL_MS);
+    if (job.status === "done") {
+        if (job.meta.sha && !job.meta.cacheHit) {
+            conversionCache.put(job.meta.sha, job.pdfPath).catch((err) => console.error("Conversion cache put error:", err));
+        }
+        if (job.sourceUrl && job.meta.sha && job.meta.validators) {
+            conversionCache.rememberUrl(job.sourceUrl, job.meta.validators, job.meta.sha);
+        }
+    }
+    // finished: files stay available for FILE_TTL_MS from now
+    if (job.status === "done" || job.status === "failed") artifacts.register(job.meta.fileId, job.workdir, FILE_TTL_MS);
+});
+
+// jobs interrupted by a restart are re-queued (their workdirs survived the startup sweep via the registry)
+await conversionQueue.restore();
+
+function jobToJson(req, job) {
+    const out = { jobId: job.id, status: job.status, attempts: job.attempts, error: job.error };
+    if (job.status === "done") {
+        out.pdf = `${req.protocol}://${req.get("host")}/files/${job.meta.fileId}/${path.basename(job.pdfPath)}`;
+    }
+    return out;
+}
+
+// 202 response for a queued conversion; clients poll statusUrl or subscribe to eventsUrl
+function sendJobAccepted(req, res, job) {
+    res.status(202).json({
+        ...jobToJson(req, job),
+        statusUrl: `/jobs/${job.id}`,
+        eventsUrl: `/jobs/${job.id}/events`
     });
 }
 
-// ----------------- /render : download remote office file -> convert -> serve -----------------
+// ----------------- /jobs : conversion status (poll or server-sent events) -----------------
+app.get("/jobs/:id", (req, res) => {
+    const job = conversionQueue.get(req.params.id);
+    if (!job) return res.status(404).send("Unknown job");
+    res.json(jobToJson(req, job));
+});
+
+app.get("/jobs/:id/events", (req, res) => {
+    const job = conversionQueue.get(req.params.id);
+    if (!job) return res.status(404).send("Unknown job");
+
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
+
+    const send = (j) => {
+        res.write(`event: ${j.status}\ndata: ${JSON.stringify(jobToJson(req, j))}\n\n`);
+        if (j.status === "done" || j.status === "failed") {
+            conversionQueue.events.off(`job:${j.id}`, send);
+            res.end();
+        }
+    };
+    conversionQueue.events.on(`job:${job.id}`, send);
+    req.on("close", () => conversionQueue.events.off(`job:${job.id}`, send));
+    send(job);
+});
+
+app.get("/jobs", (req, res) => res.json({ ...conversionQueue.stats(), cache: conversionCache.stats(), ...artifacts.stats() }));
+
+// ----------------- /render : queue download + conversion of a remote office file -----------------
 app.get("/render", async (req, res) => {
     try {
         const fileUrl = req.query.url;
         if (!fileUrl) return res.status(400).send("Missing url param");
-        if (!/^https?:\/\//i.test(fileUrl)) return res.status(400).send("Invalid url");
+        checkUrl(fetchPolicy, fileUrl);
+
+        // policy check against the resolved address + unchanged upstream (same ETag / Last-Modified)
+        // -> serve the cached conversion; a HEAD the upstream rejects is not fatal
+        const head = await safeFetch(fetchPolicy, fileUrl, { method: "HEAD", use: "render" }).catch((err) => {
+            if (err instanceof FetchPolicyError) throw err;
+            return null;
+        });
+        if (head && head.ok) {
+            const sha = conversionCache.lookupUrl(fileUrl, validatorsOf(head));
+            const cachedPath = sha && conversionCache.get(sha);
+            if (cachedPath) return await sendCachedPdf(req, res, cachedPath, path.basename(new URL(fileUrl).pathname) || "presentation.pptx");
+        }
 
         const id = uuidv4();
         const workdir = path.join(tmpRoot, id);
@@ -81,81 +228,71 @@ app.get("/render", async (req, res) => {
         const filename = sanitize(rawName) || "presentation.pptx";
         const inputPath = path.join(workdir, filename);
 
-        // download remote file
-        const resp = await fetch(fileUrl);
-        if (!resp.ok) throw new Error("Failed to download file: " + resp.status);
-        const ws = fsSync.createWriteStream(inputPath);
-        await pump(resp.body, ws);
-
-        // convert
-        const pdfPath = await convertToPdf(inputPath, workdir);
-
-        // serve static under /files/:id
-        app.use(`/files/${id}`, express.static(workdir, { index: false, dotfiles: "deny" }));
-
-        const pdfUrl = `${req.protocol}://${req.get("host")}/files/${id}/${path.basename(pdfPath)}`;
-
-        // respond with pdf url
-        res.json({ pdf: pdfUrl });
-
-        // cleanup after 30 minutes
-        setTimeout(() => fs.rm(workdir, { recursive: true, force: true }).catch(() => { }), 1000 * 60 * 30);
+        const job = conversionQueue.enqueue({ inputPath, workdir, sourceUrl: fileUrl, meta: { fileId: id } });
+        sendJobAccepted(req, res, job);
     } catch (err) {
         console.error("Render error:", err);
-        res.status(500).send("Error processing file: " + (err.message || err));
+        sendFetchError(res, err, "Error processing file");
     }
 });
 
 // ----------------- /proxy : stream external resource to client (CORS fix) -----------------
-const PROXY_WHITELIST = null; // set array of hostnames to restrict if needed
+// Range / conditional request headers go upstream and 206 / 304 / 416 come back as-is,
+// so pdf.js can load large PDFs incrementally through the proxy.
+const PROXY_REQUEST_HEADERS = ["range", "if-range", "if-none-match", "if-modified-since"];
+const PROXY_RESPONSE_HEADERS = [
+    "content-type", "content-length", "content-range", "accept-ranges",
+    "etag", "last-modified", "cache-control", "expires"
+];
+
 app.get("/proxy", async (req, res) => {
     const target = req.query.url;
     if (!target) return res.status(400).send("Missing url");
-    if (!/^https?:\/\//i.test(target)) return res.status(400).send("Invalid url");
 
     try {
-        if (Array.isArray(PROXY_WHITELIST)) {
-            const urlObj = new URL(target);
-            if (!PROXY_WHITELIST.includes(urlObj.hostname)) {
-                return res.status(403).send("Host not allowed");
-            }
+        const headers = {};
+        for (const h of PROXY_REQUEST_HEADERS) {
+            if (req.headers[h]) headers[h] = req.headers[h];
         }
 
-
-        const upstream = await fetch(target);
-        Readable.fromWeb(upstream.body)
-        if (!upstream.ok) {
+        const upstream = await safeFetch(fetchPolicy, target, {
+            use: "proxy",
+            method: req.method === "HEAD" ? "HEAD" : "GET",
+            headers
+        });
+        const passThrough = upstream.ok || upstream.status === 304 || upstream.status === 416;
+        if (!passThrough) {
+            if (upstream.body) upstream.body.resume();
             return res.status(502).send(`Upstream returned ${upstream.status}`);
         }
 
         // headers
-        const contentType = upstream.headers.get("content-type");
-        const contentLength = upstream.headers.get("content-length");
-        if (contentType) res.setHeader("Content-Type", contentType);
-        if (contentLength) res.setHeader("Content-Length", contentLength);
+        res.status(upstream.status);
+        for (const h of PROXY_RESPONSE_HEADERS) {
+            const v = upstream.headers.get(h);
+            if (v) res.setHeader(h, v);
+        }
         res.setHeader("Access-Control-Allow-Origin", "*");
+        res.setHeader("Access-Control-Expose-Headers", "Accept-Ranges, Content-Range, Content-Length, ETag, Last-Modified");
 
-        // ✅ Convert Web Stream → Node Stream
-        try {
-            //res.destroy(err);
-            const nodeStream = Readable.fromWeb(upstream.body);
-
-            nodeStream.pipe(res);
-
-            nodeStream.on("error", (err) => {
-                console.error("Proxy stream error:", err);
-                try { res.destroy(err); } catch { }
-            });
-
-        } catch { }
-
+        if (!upstream.body || upstream.status === 304) {
+            if (upstream.body) upstream.body.resume();
+            return res.end();
+        }
+        upstream.body.pipe(res);
+        upstream.body.on("error", (err) => {
+            console.error("Proxy stream error:", err);
+            try { res.destroy(err); } catch { }
+        });
+        // client aborted (pdf.js cancels the probing request once it knows ranges work)
+        res.on("close", () => { if (!res.writableEnded) upstream.body.destroy(); });
     } catch (err) {
         console.error("Proxy error:", err);
-        res.status(500).send("Proxy error: " + (err.message || err));
+        sendFetchError(res, err, "Proxy error");
     }
 });
 
-// ----------------- /upload : accept file upload, convert if needed, return pdf url -----------------
+// ----------------- /upload : accept file upload; pdf url, or a conversion job for office files -----------------
 app.post("/upload", upload.single("file"), async (req, res) => {
     try {
         if (!req.file) return res.status(400).send("No file uploaded");
@@ -172,15 +309,21 @@ app.post("/upload", upload.single("file"), async (req, res) => {
             const destPath = path.join(workdir, path.basename(originalName));
             await fs.copyFile(inputPath, destPath);
 
-            app.use(`/files/${id}`, express.static(workdir, { index: false, dotfiles: "deny" }));
+            artifacts.register(id, workdir, FILE_TTL_MS);
             const pdfUrl = `${req.protocol}://${req.get("host")}/files/${id}/${path.basename(destPath)}`;
 
-            setTimeout(() => fs.rm(workdir, { recursive: true, force: true }).catch(() => { }), 1000 * 60 * 30);
             fs.unlink(inputPath).catch(() => { });
             return res.json({ pdf: pdfUrl });
         }
 
-        // other office formats -> convert
+        // other office formats -> cached conversion, or queue one
+        const sha = await hashFile(inputPath);
+        const cachedPath = conversionCache.get(sha);
+        if (cachedPath) {
+            fs.unlink(inputPath).catch(() => { });
+            return await sendCachedPdf(req, res, cachedPath, sanitize(originalName) || `file${ext}`);
+        }
+
         const id = uuidv4();
         const workdir = path.join(tmpRoot, id);
         await fs.mkdir(workdir, { recursive: true });
@@ -188,27 +331,85 @@ app.post("/upload", upload.single("file"), async (req, res) => {
         const movedPath = path.join(workdir, safeName);
         await fs.rename(inputPath, movedPath);
 
-        const pdfPath = await convertToPdf(movedPath, workdir);
-
-        app.use(`/files/${id}`, express.static(workdir, { index: false, dotfiles: "deny" }));
-        const pdfUrl = `${req.protocol}://${req.get("host")}/files/${id}/${path.basename(pdfPath)}`;
-
-        setTimeout(() => fs.rm(workdir, { recursive: true, force: true }).catch(() => { }), 1000 * 60 * 30);
-
-        res.json({ pdf: pdfUrl });
+        const job = conversionQueue.enqueue({ inputPath: movedPath, workdir, meta: { fileId: id, sha } });
+        sendJobAccepted(req, res, job);
     } catch (err) {
         console.error("Upload/convert error:", err);
         res.status(500).send("Upload/convert error: " + (err.message || err));
     }
 });
 
+// ----------------- /media : narration audio / video for the editor -----------------
+// served from a workdir like /upload PDFs; /package copies it into data/media/
+app.post("/media", upload.single("file"), async (req, res) => {
+    if (!req.file) return res.status(400).send("No file uploaded");
+    const type = mediaType(req.file.originalname);
+    if (!type) {
+        fs.rm(req.file.path, { force: true }).catch(() => { });
+        return res.status(415).send(`Unsupported media file (${Object.keys(MEDIA_TYPES).join(", ")})`);
+    }
+    if (req.file.size > MEDIA_MAX_BYTES) {
+        fs.rm(req.file.path, { force: true }).catch(() => { });
+        return res.status(413).send(`Media files are limited to ${MEDIA_MAX_BYTES / 1024 / 1024} MB`);
+    }
+    try {
+        const id = uuidv4();
+        const workdir = path.join(tmpRoot, id);
+        await fs.mkdir(workdir, { recursive: true });
+        const name = sanitize(req.file.originalname) || `media${path.extname(req.file.originalname).toLowerCase()}`;
+        await fs.rename(req.file.path, path.join(workdir, name));
+        artifacts.register(id, workdir, FILE_TTL_MS);
+        res.json({ url: `${req.protocol}://${req.get("host")}/files/${id}/${encodeURIComponent(name)}`, name, type });
+    } catch (err) {
+        fs.rm(req.file.path, { force: true }).catch(() => { });
+        console.error("Media upload error:", err);
+        res.status(500).send("Media upload error: " + (err.message || err));
+    }
+});
+
 // ----------------- /package : build SCORM package (zip) and stream it -----------------
+// Sources of a package (PDFs, narration) are never fetched blindly: files this server handed out
+// (/files/:id/:name: uploads, conversions, imports) are copied from the artifact registry, the
+// editor's proxied PDFs (/proxy?url=...) come from their upstream, and every other URL goes through
+// the fetch policy like /proxy does.
+const OWN_FILE_PATH = /^\/files\/([^/]+)\/([^/]+)$/;
+
+async function copySource(req, rawUrl, destPath, opts) {
+    const { use, what, maxBytes } = opts;
+    const host = req.get("host");
+    let url;
+    try { url = new URL(rawUrl, `${req.protocol}://${host}`); } catch { throw new FetchPolicyError(`Invalid url for ${what}`, 400); }
+
+    if (url.host === host && url.pathname === "/proxy" && url.searchParams.get("url")) {
+        return copySource(req, url.searchParams.get("url"), destPath, opts);
+    }
+    const own = url.host === host && OWN_FILE_PATH.exec(url.pathname);
+    if (own) {
+        let filePath = null;
+        try { filePath = artifacts.resolve(decodeURIComponent(own[1]), decodeURIComponent(own[2])); } catch { /* malformed escape */ }
+        if (!filePath) throw new FetchPolicyError(`${what} is no longer on the server, upload it again`, 410);
+        if (maxBytes && (await fs.stat(filePath)).size > maxBytes) throw new FetchPolicyError(`${what} exceeds ${maxBytes} bytes`, 413);
+        return fs.copyFile(filePath, destPath);
+    }
+
+    const resp = await safeFetch(fetchPolicy, url.href, { use, maxBytes });
+    if (!resp.ok) {
+        if (resp.body) resp.body.resume();
+        throw new FetchPolicyError(`Failed fetching ${what}: upstream returned ${resp.status}`, 502);
+    }
+    await pump(resp.body, fsSync.createWriteStream(destPath));
+}
+
+// editor pages' own files under public/js that packages never load (player.html reads the generated Config.js)
+const EDITOR_ONLY_FILES = ["js/Config.js", "js/lms-runtime.js"];
+
 async function copyRecursive(src, dst) {
     const stat = await fs.stat(src);
     if (stat.isDirectory()) {
         await fs.mkdir(dst, { recursive: true });
         const items = await fs.readdir(src);
         for (const it of items) {
+            if (it.startsWith(".")) continue;   // .DS_Store and the like never ship
             await copyRecursive(path.join(src, it), path.join(dst, it));
         }
     } else {
@@ -216,36 +417,215 @@ async function copyRecursive(src, dst) {
     }
 }
 
-function generateManifest(pkgId, title, launchFile, resourceFiles) {
-    const filesXml = resourceFiles.map(f => `<file href="${f}" />`).join("\n      ");
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<manifest identifier="${pkgId}" version="1"
-  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+// ---------------- SCORM versions ----------------
+// 1.2 packages ship without schema files (as before); 2004 packages bundle the
+// ADL/IMS XSDs from schemas/<dir> at the package root.
+const schemasDir = path.join(__dirname, "schemas");
+const SCORM_VERSIONS = {
+    "1.2": { schemaversion: "1.2", schemaDir: null },
+    "2004_3rd": { schemaversion: "2004 3rd Edition", schemaDir: path.join(schemasDir, "scorm2004_3rd") },
+    "2004_4th": { schemaversion: "2004 4th Edition", schemaDir: path.join(schemasDir, "scorm2004_4th") },
+};
+const SCORM_VERSION_ALIASES = {
+    "1.2": "1.2", "12": "1.2", "scorm12": "1.2",
+    "2004": "2004_4th", "2004_4th": "2004_4th", "2004-4th": "2004_4th", "2004 4th edition": "2004_4th",
+    "2004_3rd": "2004_3rd", "2004-3rd": "2004_3rd", "2004 3rd edition": "2004_3rd",
+};
+
+// returns a SCORM_VERSIONS key, or null when the requested version is unknown
+function resolveScormVersion(v) {
+    if (v === undefined || v === null || v === "") return "1.2";
+    return SCORM_VERSION_ALIASES[String(v).trim().toLowerCase()] || null;
+}
+
+// ---------------- course tree (documents -> SCOs / AUs) ----------------
+// Request body carries either a single `pdfUrl` or an ordered `documents` list:
+//   [{ pdfUrl, title }, { title, children: [{ pdfUrl, title }, ...] }, ...]
+// Entries with `children` become container items (SCORM) / blocks (cmi5).
+// Returns { tree, scos } or { error }.
+function buildCourseTree(body, packageTitle) {
+    const list = Array.isArray(body.documents) ? body.documents
+        : body.pdfUrl ? [{ pdfUrl: body.pdfUrl, title: packageTitle }]
+            : null;
+    if (!list || !list.length) return { error: "Missing pdfUrl or documents" };
+
+    const scos = [];
+    let groupCount = 0;
+
+    function walk(entries) {
+        const nodes = [];
+        for (const entry of entries) {
+            if (!entry || typeof entry !== "object") throw new Error("Invalid document entry");
+            if (Array.isArray(entry.children)) {
+                if (!entry.children.length) throw new Error("Empty group: " + (entry.title || "(untitled)"));
+                nodes.push({ type: "group", index: ++groupCount, title: entry.title || `Module ${groupCount}`, children: walk(entry.children) });
+                continue;
+            }
+            if (!entry.pdfUrl) throw new Error("Missing pdfUrl for document: " + (entry.title || "(untitled)"));
+            const sco = { type: "sco", index: scos.length + 1, title: entry.title || `Document ${scos.length + 1}`, pdfUrl: entry.pdfUrl };
+            scos.push(sco);
+            nodes.push(sco);
+        }
+        return nodes;
+    }
+
+    let tree;
+    try { tree = walk(list); } catch (err) { return { error: err.message }; }
+
+    // single document keeps the original layout (index_lms.html + data/content.pdf)
+    const single = scos.length === 1;
+    for (const sco of scos) {
+        sco.pdfFilename = single ? "content.pdf" : `content_${sco.index}.pdf`;
+        sco.slidesDir = single ? "slides" : `slides_${sco.index}`;
+        sco.launchFile = single ? "index_lms.html" : `sco_${sco.index}.html`;
+    }
+    return { tree, scos };
+}
+
+// launch page: frames player.html on one document and forwards cmi5 / xAPI launch params
+function generateLaunchHtml(sco, title, renderMode, favicon = null) {
+    let playerQs = renderMode === "images" ? `slides=data/${sco.slidesDir}` : `pdf=data/${sco.pdfFilename}`;
+    playerQs += `&document=${sco.index}`;   // selects this document's Config.quizzes
+    if (title) playerQs += `&title=${encodeURIComponent(title)}`;
+    const head = favicon ? `<head><link rel="icon" href="${escapeXml(favicon)}" /></head>` : "";
+    return `<!doctype html><html>${head}<body style="margin:0">
+<iframe id="player" style="width:100%;height:100vh;border:0;" allow="fullscreen" allowfullscreen></iframe>
+<script>
+// forward cmi5 / xAPI launch params to the player
+var launchQs = window.location.search ? "&" + window.location.search.slice(1) : "";
+document.getElementById("player").src = "player.html?${playerQs}" + launchQs;
+</script>
+</body></html>`;
+}
+
+const escapeXml = (s) => String(s).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "\"": "&quot;", "'": "&apos;" }[c]));
+
+function generateManifest(pkgId, title, tree, scos, sharedFiles, scormVersion = "1.2", manifestVersion = "1") {
+    const is2004 = scormVersion !== "1.2";
+    const { schemaversion } = SCORM_VERSIONS[scormVersion];
+
+    const manifestAttrs = is2004
+        ? `xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+  xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd
+  http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd
+  http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd
+  http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd
+  http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd"`
+        : `xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
   xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
   xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
   xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2
-  imscp_rootv1p1p2.xsd">
+  imscp_rootv1p1p2.xsd"`;
+
+    // attribute name is case-sensitive: scormtype (1.2) vs scormType (2004)
+    const scormTypeAttr = is2004 ? "adlcp:scormType" : "adlcp:scormtype";
+
+    // SCOs with quizzes: passing score as adlcp:masteryscore (1.2) or primary objective measure (2004)
+    function scoExtrasXml(sco, indent) {
+        if (sco.masteryScore === undefined) return "";
+        if (!is2004) return `\n${indent}<adlcp:masteryscore>${sco.masteryScore}</adlcp:masteryscore>`;
+        return `
+${indent}<imsss:sequencing>
+${indent}  <imsss:objectives>
+${indent}    <imsss:primaryObjective objectiveID="PRIMARYOBJ" satisfiedByMeasure="true">
+${indent}      <imsss:minNormalizedMeasure>${(sco.masteryScore / 100).toFixed(2)}</imsss:minNormalizedMeasure>
+${indent}    </imsss:primaryObjective>
+${indent}  </imsss:objectives>
+${indent}</imsss:sequencing>`;
+    }
+
+    function itemsXml(nodes, indent) {
+        return nodes.map((n) => {
+            if (n.type === "group") {
+                return `${indent}<item identifier="GROUP_${n.index}">
+${indent}  <title>${escapeXml(n.title)}</title>
+${itemsXml(n.children, indent + "  ")}
+${indent}</item>`;
+            }
+            // one item per document: every item is its own LMS activity with its own tracking data,
+            // so PDF bookmarks stay in the player's table of contents instead of the course tree
+            return `${indent}<item identifier="ITEM_${n.index}" identifierref="RES_${n.index}">
+${indent}  <title>${escapeXml(n.title)}</title>${scoExtrasXml(n, indent + "  ")}
+${indent}</item>`;
+        }).join("\n");
+    }
+
+    // one SCO: everything in RES_1 (as before); several SCOs share player/css/js through an asset resource
+    const single = scos.length === 1;
+    const resourcesXml = scos.map((sco) => {
+        const files = [sco.launchFile, ...sco.contentFiles].concat(single ? sharedFiles : []);
+        const filesXml = files.map(f => `<file href="${escapeXml(f)}" />`).join("\n      ");
+        const dependencyXml = single ? "" : `\n      <dependency identifierref="RES_SHARED" />`;
+        return `    <resource identifier="RES_${sco.index}" type="webcontent" ${scormTypeAttr}="sco" href="${sco.launchFile}">
+      ${filesXml}${dependencyXml}
+    </resource>`;
+    });
+    if (!single) {
+        resourcesXml.push(`    <resource identifier="RES_SHARED" type="webcontent" ${scormTypeAttr}="asset">
+      ${sharedFiles.map(f => `<file href="${escapeXml(f)}" />`).join("\n      ")}
+    </resource>`);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${pkgId}" version="${escapeXml(manifestVersion)}"
+  ${manifestAttrs}>
   <metadata>
     <schema>ADL SCORM</schema>
-    <schemaversion>1.2</schemaversion>
+    <schemaversion>${schemaversion}</schemaversion>
   </metadata>
   <organizations default="ORG_1">
     <organization identifier="ORG_1">
-      <title>${title}</title>
-      <item identifier="ITEM_1" identifierref="RES_1">
-        <title>${title}</title>
-      </item>
+      <title>${escapeXml(title)}</title>
+${itemsXml(tree, "      ")}
     </organization>
   </organizations>
   <resources>
-    <resource identifier="RES_1" type="webcontent" adlcp:scormtype="sco" href="${launchFile}">
-      ${filesXml}
-    </resource>
+${resourcesXml.join("\n")}
   </resources>
 </manifest>`;
 }
 
-function generateConfigJS(cfg, pdfFilename) {
+// cmi5 course structure: one AU per document (LMS appends endpoint/fetch/actor/... to the AU url),
+// groups become <block>s
+function generateCmi5Xml(pkgId, title, tree) {
+    const courseId = `urn:scorm-kit:${pkgId}`;
+    const langstring = (t) => `<langstring lang="en-US">${escapeXml(t)}</langstring>`;
+
+    function nodesXml(nodes, indent) {
+        return nodes.map((n) => {
+            if (n.type === "group") {
+                return `${indent}<block id="${courseId}:block:${n.index}">
+${indent}  <title>${langstring(n.title)}</title>
+${indent}  <description>${langstring(n.title)}</description>
+${nodesXml(n.children, indent + "  ")}
+${indent}</block>`;
+            }
+            return `${indent}<au id="${courseId}:au:${n.index}" moveOn="Completed" launchMethod="AnyWindow">
+${indent}  <title>${langstring(n.title)}</title>
+${indent}  <description>${langstring(n.title)}</description>
+${indent}  <url>${escapeXml(n.launchFile)}</url>
+${indent}</au>`;
+        }).join("\n");
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<courseStructure xmlns="https://w3id.org/xapi/profiles/cmi5/v1/CourseStructure.xsd">
+  <course id="${courseId}">
+    <title>${langstring(title)}</title>
+    <description>${langstring(title)}</description>
+  </course>
+${nodesXml(tree, "  ")}
+</courseStructure>`;
+}
+
+// cfg.theme: normalizeTheme() output, logo / favicon already replaced by their paths in the package
+function generateConfigJS(cfg, pdfFilename, slidesDir = null) {
+    const theme = cfg.theme || DEFAULT_THEME;
     return `// Config.js
 var Config = {
     // Judul dokumen yang tampil di topbar
@@ -260,19 +640,15 @@ var Config = {
     // (opsional) fallback ke file PDF statis di folder \`data/\`
     filename: "${pdfFilename}",
 
-    // UI config (tidak perlu ubah)
-    fontFamily: "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
-    fontSize: "14px",
-    fontColor: "#222222",
-    bodyBgColor: "#ffffff",
-    headerBgColor: "#555555",
-    headerTextColor: "#ffffff",
-    footerBgColor: "#555555",
-    footerTextColor: "#ffffff",
-    buttonBgColor: "#777777",
-    buttonPrimaryBgColor: "#007bff",
-    buttonTextColor: "#ffffff",
-    progressBarColor: "#00ff00",
+    // (opsional) mode gambar: folder slide hasil render server di \`data/\` (menggantikan PDF)
+    slidesDir: ${slidesDir ? `"${slidesDir}"` : "null"},
+
+    // UI config (tema dari editor, lihat lib/theme.js)
+${["fontFamily", "fontSize", ...THEME_COLOR_KEYS].map(k => `    ${k}: ${JSON.stringify(theme[k])},`).join("\n")}
+
+    // Logo di topbar dan favicon (file di folder \`assets/\`, null = tidak ada)
+    logo: ${JSON.stringify(theme.logo)},
+    favicon: ${JSON.stringify(theme.favicon)},
 
     // sidebar default open? (true/false)
     sidebarDefaultOpen: ${Boolean(cfg.sidebarDefaultOpen)},
@@ -281,7 +657,22 @@ var Config = {
     slideSequenceLocked: ${Boolean(cfg.slideSequenceLocked)},
 
     // nav button position: 'left' | 'center' | 'right'
-    navPosition: "right"
+    navPosition: ${JSON.stringify(theme.navPosition)},
+
+    // Kuis (knowledge check) setelah halaman tertentu, lihat lib/quizzes.js
+    quizzes: ${JSON.stringify(cfg.quizzes || [], null, 4).replace(/\n/g, "\n    ")},
+
+    // Nilai lulus dalam persen (mastery score dari LMS diutamakan)
+    masteryScore: ${cfg.masteryScore ?? 80},
+
+    // Narasi audio / video per halaman (file di folder \`data/media/\`), lihat lib/slide-media.js
+    media: ${JSON.stringify(cfg.media || [], null, 4).replace(/\n/g, "\n    ")},
+
+    // Lanjut otomatis ke halaman berikutnya setelah narasi selesai? (true/false)
+    mediaAutoAdvance: ${Boolean(cfg.mediaAutoAdvance)},
+
+    // Aturan selesai (completion), lihat lib/completion-rules.js
+    completion: ${JSON.stringify(cfg.completion || {}, null, 4).replace(/\n/g, "\n    ")}
 };`;
 }
 
@@ -289,12 +680,71 @@ app.use(express.json());
 
 app.post("/package", async (req, res) => {
     try {
-        const { pdfUrl, config } = req.body;
-        if (!pdfUrl) return res.status(400).send("Missing pdfUrl");
+        const { config } = req.body;
+
+        const scormVersion = resolveScormVersion(req.body.scormVersion);
+        if (!scormVersion) return res.status(400).send("Unsupported scormVersion");
+
+        // "scorm" (imsmanifest.xml) or "cmi5" (cmi5.xml)
+        const format = req.body.format || "scorm";
+        if (format !== "scorm" && format !== "cmi5") return res.status(400).send("Unsupported format");
+        // "download" (zip) or "lms" (open the unpacked build in the LMS simulator)
+        const target = req.body.target || "download";
+        if (target !== "download" && target !== "lms") return res.status(400).send("Unsupported target");
+        if (target === "lms" && format !== "scorm") return res.status(400).send("The LMS simulator runs SCORM packages only");
+
+        // "pdf" (pdf.js player) or "images" (pages pre-rendered to data/slides*/, no pdf.js in the package)
+        const renderMode = req.body.renderMode || "pdf";
+        if (renderMode !== "pdf" && renderMode !== "images") return res.status(400).send("Unsupported renderMode");
+        let rasterOptions = null;
+        if (renderMode === "images") {
+            try { rasterOptions = normalizeRasterOptions(req.body.imageOptions); } catch (err) { return res.status(400).send(err.message); }
+        }
+
+        // re-export of an imported package: same manifest identifier (cmi5 course id) so LMSs update it in place
+        const manifestIdentifier = req.body.manifestIdentifier || null;
+        if (manifestIdentifier && !/^[A-Za-z_][A-Za-z0-9_.-]{0,99}$/.test(manifestIdentifier)) return res.status(400).send("Invalid manifestIdentifier");
+        const manifestVersion = String(req.body.manifestVersion || "1");
+        if (!/^[A-Za-z0-9_.-]{1,20}$/.test(manifestVersion)) return res.status(400).send("Invalid manifestVersion");
+
+        const packageTitle = config?.title || (format === "cmi5" ? "cmi5 Package" : "SCORM Package");
+        const { tree, scos, error } = buildCourseTree(req.body, packageTitle);
+        if (error) return res.status(400).send(error);
+
+        let quizzes, masteryScore, completion, theme, media;
+        try {
+            quizzes = normalizeQuizzes(config?.quizzes);
+            media = normalizeSlideMedia(config?.media);
+            masteryScore = normalizeMasteryScore(config?.masteryScore);
+            completion = normalizeCompletionRules(config?.completion);
+            theme = normalizeTheme(config?.theme);
+        } catch (err) {
+            return res.status(400).send(err.message);
+        }
+        const themeImages = {};
+        for (const key of ["logo", "favicon"]) {
+            if (!theme[key]) continue;
+            themeImages[key] = themeStore.assetPath(theme[key]);
+            if (!themeImages[key]) return res.status(400).send(`Theme ${key} not found, upload it again`);
+        }
+        const strayQuiz = quizzes.find(q => q.document > scos.length);
+        if (strayQuiz) return res.status(400).send(`Quiz ${strayQuiz.id}: document ${strayQuiz.document} does not exist`);
+        const strayMedia = media.find(m => m.document > scos.length);
+        if (strayMedia) return res.status(400).send(`Narration of page ${strayMedia.page}: document ${strayMedia.document} does not exist`);
+        for (const sco of scos) {
+            if (quizzes.some(q => q.document === sco.index)) sco.masteryScore = masteryScore;
+        }
 
         const pkgId = "pkg_" + uuidv4();
         const tmpPkgDir = path.join(tmpRoot, pkgId);
         await fs.mkdir(tmpPkgDir, { recursive: true });
+        artifacts.register(pkgId, tmpPkgDir, PACKAGE_TTL_MS);
+        // renewed while the build runs (rasterizing, downloads, a slow client) and once more when the response ends
+        const keepBuildDir = setInterval(() => artifacts.register(pkgId, tmpPkgDir, PACKAGE_TTL_MS), 60 * 1000);
+        res.on("close", () => {
+            clearInterval(keepBuildDir);
+            artifacts.register(pkgId, tmpPkgDir, PACKAGE_TTL_MS);
+        });
 
         // 1) copy viewer assets
         const copyTargets = [
@@ -310,71 +760,271 @@ app.post("/package", async (req, res) => {
             }
         }
 
-        // 2) data folder + PDF
+        // 1b) theme images: assets/logo.<ext>, assets/favicon.<ext>
+        for (const key of Object.keys(themeImages)) {
+            const rel = `assets/${key}${path.extname(themeImages[key])}`;
+            await fs.mkdir(path.join(tmpPkgDir, "assets"), { recursive: true });
+            await fs.copyFile(themeImages[key], path.join(tmpPkgDir, rel));
+            theme[key] = rel;
+        }
+
+        // 2) data folder + one PDF per document
         const dataDir = path.join(tmpPkgDir, "data");
         await fs.mkdir(dataDir, { recursive: true });
 
-        const pdfFilename = "content.pdf";
-        const pdfDestPath = path.join(dataDir, pdfFilename);
+        for (const sco of scos) {
+            const pdfPath = path.join(dataDir, sco.pdfFilename);
+            await copySource(req, sco.pdfUrl, pdfPath, { use: "proxy", what: `The PDF of "${sco.title}"` });
+            sco.contentFiles = ["data/" + sco.pdfFilename];
+
+            // 2b) image mode: slides + thumbnails replace the PDF
+            if (renderMode === "images") {
+                const slides = await rasterizePdf(pdfPath, path.join(dataDir, sco.slidesDir), rasterOptions);
+                await fs.rm(pdfPath, { force: true });
+                const prefix = `data/${sco.slidesDir}/`;
+                sco.contentFiles = [prefix + "slides.json"];
+                for (const p of slides.pages) {
+                    for (const w of slides.widths) sco.contentFiles.push(prefix + p.images[w]);
+                    sco.contentFiles.push(prefix + p.thumb);
+                }
+            }
+        }
 
-        const resp = await fetch(pdfUrl);
-        if (!resp.ok) throw new Error("Failed fetching PDF: " + resp.status);
-        await pump(resp.body, fsSync.createWriteStream(pdfDestPath));
+        // 2c) narration: data/media/<document>_<page>.<ext>, listed with its document's files
+        if (media.length) await fs.mkdir(path.join(dataDir, "media"), { recursive: true });
+        for (const item of media) {
+            await copySource(req, item.url, path.join(dataDir, mediaFile(item)), { use: "media", maxBytes: MEDIA_MAX_BYTES, what: `The narration of page ${item.page}` });
+            scos.find(s => s.index === item.document).contentFiles.push("data/" + mediaFile(item));
+        }
+
+        // image-mode players never load pdf.js
+        if (renderMode === "images") {
+            for (const f of ["pdf.min.js", "pdf.worker.min.js"]) await fs.rm(path.join(tmpPkgDir, "js", f), { force: true });
+        }
+        for (const f of EDITOR_ONLY_FILES) await fs.rm(path.join(tmpPkgDir, f), { force: true });
 
         // 3) Config.js (🔥 PENTING)
-        const configJS = generateConfigJS(config || {}, pdfFilename);
+        const configMedia = media.map(m => ({ document: m.document, page: m.page, src: "data/" + mediaFile(m), type: m.type }));
+        const configJS = generateConfigJS({ ...config, quizzes, masteryScore, completion, theme, media: configMedia }, scos[0].pdfFilename, renderMode === "images" ? scos[0].slidesDir : null);
         await fs.writeFile(path.join(tmpPkgDir, "Config.js"), configJS, "utf8");
 
-        // 4) index_lms.html fallback
-        const indexLmsPath = path.join(tmpPkgDir, "index_lms.html");
-        if (!fsSync.existsSync(indexLmsPath)) {
-            await fs.writeFile(
-                indexLmsPath,
-                `<!doctype html><html><body style="margin:0">
-<iframe src="player.html?pdf=data/${pdfFilename}" style="width:100%;height:100vh;border:0;"></iframe>
-</body></html>`,
-                "utf8"
-            );
+        // 4) launch pages: index_lms.html fallback (single document) or sco_N.html per document
+        for (const sco of scos) {
+            const launchPath = path.join(tmpPkgDir, sco.launchFile);
+            if (scos.length === 1 && fsSync.existsSync(launchPath)) continue;
+            await fs.writeFile(launchPath, generateLaunchHtml(sco, scos.length === 1 ? null : sco.title, renderMode, theme.favicon), "utf8");
         }
 
-        // 5) manifest
-        const resourceFiles = [
-            "player.html",
-            "index_lms.html",
-            "Config.js",
-            "data/" + pdfFilename
-        ];
+        // 5) manifest (imsmanifest.xml or cmi5.xml); every file left in css/, js/ and assets/ is shared
+        const sharedFiles = ["player.html", "Config.js"];
+        for (const dir of ["css", "js", "assets"]) {
+            if (fsSync.existsSync(path.join(tmpPkgDir, dir))) sharedFiles.push(...await listFiles(path.join(tmpPkgDir, dir), dir + "/"));
+        }
 
-        if (fsSync.existsSync(path.join(tmpPkgDir, "css", "styles.css"))) resourceFiles.push("css/styles.css");
-        if (fsSync.existsSync(path.join(tmpPkgDir, "js", "pdf.min.js"))) resourceFiles.push("js/pdf.min.js");
-        if (fsSync.existsSync(path.join(tmpPkgDir, "js", "pdf.worker.min.js"))) resourceFiles.push("js/pdf.worker.min.js");
-        if (fsSync.existsSync(path.join(tmpPkgDir, "js", "player-viewer.js"))) resourceFiles.push("js/player-viewer.js");
+        if (format === "cmi5") {
+            const cmi5Xml = generateCmi5Xml(manifestIdentifier || pkgId, packageTitle, tree);
+            await fs.writeFile(path.join(tmpPkgDir, "cmi5.xml"), cmi5Xml, "utf8");
+        } else {
+            const manifestXml = generateManifest(
+                manifestIdentifier || pkgId,
+                packageTitle,
+                tree,
+                scos,
+                sharedFiles,
+                scormVersion,
+                manifestVersion
+            );
 
-        const manifestXml = generateManifest(
-            pkgId,
-            config?.title || "SCORM Package",
-            "index_lms.html",
-            resourceFiles
-        );
+            await fs.writeFile(path.join(tmpPkgDir, "imsmanifest.xml"), manifestXml, "utf8");
 
-        await fs.writeFile(path.join(tmpPkgDir, "imsmanifest.xml"), manifestXml, "utf8");
+            // 5b) schema files (2004 only) next to imsmanifest.xml
+            const { schemaDir } = SCORM_VERSIONS[scormVersion];
+            if (schemaDir) await copyRecursive(schemaDir, tmpPkgDir);
+        }
+
+        // 5c) a build that fails validation is a bug here, not something to hand to an LMS
+        if (format === "scorm") {
+            const check = await validateDir(tmpPkgDir);
+            if (!check.valid) throw new Error("generated package failed validation\n" + formatProblems(check.errors));
+        }
 
-        // 6) zip
+        // 6) zip, or hand the build directory to the LMS simulator
+        if (target === "lms") return res.json(simulatorLaunch(await lmsSimulator.importDir(tmpPkgDir)));
+
+        const zipName = format === "cmi5" ? "cmi5_package.zip" : "scorm_package.zip";
         res.setHeader("Content-Type", "application/zip");
-        res.setHeader("Content-Disposition", 'attachment; filename="scorm_package.zip"');
+        res.setHeader("Content-Disposition", `attachment; filename="${zipName}"`);
 
         const archive = archiver("zip", { zlib: { level: 9 } });
         archive.pipe(res);
         archive.directory(tmpPkgDir + "/", false);
         await archive.finalize();
-
-        setTimeout(() => fs.rm(tmpPkgDir, { recursive: true, force: true }).catch(() => { }), 1000 * 60 * 5);
     } catch (err) {
         console.error("Package generation error:", err);
-        res.status(500).send("Package generation error: " + (err.message || err));
+        sendFetchError(res, err, "Package generation error");
+    }
+});
+
+
+// ----------------- /validate : check an uploaded package zip -----------------
+// 200 with the report whether or not the package is valid: { valid, version, files, errors, warnings }
+app.post("/validate", upload.single("file"), async (req, res) => {
+    if (!req.file) return res.status(400).send("No file uploaded");
+    try {
+        let report;
+        try {
+            report = await validateZip(req.file.path);
+        } catch (err) {
+            return res.status(400).send("Could not read the zip: " + err.message);
+        }
+        if (req.query.format === "text") {
+            const lines = [`${report.valid ? "Valid" : "Invalid"} SCORM ${report.version || "(unknown version)"} package, ${report.files} files`];
+            if (report.errors.length) lines.push("", "Errors:", formatProblems(report.errors));
+            if (report.warnings.length) lines.push("", "Warnings:", formatProblems(report.warnings));
+            return res.type("text/plain").send(lines.join("\n") + "\n");
+        }
+        res.json(report);
+    } catch (err) {
+        console.error("Validate error:", err);
+        res.status(500).send("Validate error: " + (err.message || err));
+    } finally {
+        fs.rm(req.file.path, { force: true }).catch(() => { });
+    }
+});
+
+// ----------------- /themes : theme presets, logo / favicon images -----------------
+const themeStore = await createThemeStore({ dir: process.env.THEMES_DIR || path.join(__dirname, "themes") });
+
+function sendThemeError(res, err) {
+    if (err instanceof ThemeError) return res.status(err.status).send(err.message);
+    console.error("Theme error:", err);
+    res.status(500).send("Theme error: " + (err.message || err));
+}
+
+app.get("/themes", (req, res) => res.json(themeStore.list()));
+
+app.get("/themes/:name", (req, res) => {
+    try { res.json(themeStore.get(req.params.name)); } catch (err) { sendThemeError(res, err); }
+});
+
+app.put("/themes/:name", async (req, res) => {
+    try { res.json(await themeStore.save(req.params.name, req.body)); } catch (err) { sendThemeError(res, err); }
+});
+
+app.delete("/themes/:name", async (req, res) => {
+    try {
+        await themeStore.remove(req.params.name);
+        res.status(204).end();
+    } catch (err) {
+        sendThemeError(res, err);
+    }
+});
+
+app.post("/theme-assets", upload.single("file"), async (req, res) => {
+    if (!req.file) return res.status(400).send("No file uploaded");
+    try {
+        const name = await themeStore.saveAsset(await fs.readFile(req.file.path), req.file.originalname);
+        res.json({ name, url: `/theme-assets/${name}` });
+    } catch (err) {
+        sendThemeError(res, err);
+    } finally {
+        fs.rm(req.file.path, { force: true }).catch(() => { });
     }
 });
 
+// uploaded SVGs must not run scripts when opened directly
+app.get("/theme-assets/:name", (req, res) => {
+    const filePath = themeStore.assetPath(req.params.name);
+    if (!filePath) return res.status(404).send("Not found");
+    res.setHeader("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.sendFile(filePath);
+});
+
+// ----------------- /import : read a package zip back into the editor -----------------
+// PDFs land in a served workdir (like /upload); settings come from Config.js and imsmanifest.xml
+app.post("/import", upload.single("file"), async (req, res) => {
+    if (!req.file) return res.status(400).send("No file uploaded");
+    const id = uuidv4();
+    const workdir = path.join(tmpRoot, id);
+    try {
+        await fs.mkdir(workdir, { recursive: true });
+        artifacts.register(id, workdir, FILE_TTL_MS);
+        const fileUrl = (name) => `${req.protocol}://${req.get("host")}/files/${id}/${encodeURIComponent(name)}`;
+        res.json(await importPackageZip(req.file.path, workdir, { fileUrl, saveAsset: themeStore.saveAsset }));
+    } catch (err) {
+        artifacts.remove(id).catch(() => { });
+        if (err instanceof PackageImportError) return res.status(err.status).send(err.message);
+        console.error("Import error:", err);
+        res.status(500).send("Import error: " + (err.message || err));
+    } finally {
+        fs.rm(req.file.path, { force: true }).catch(() => { });
+    }
+});
+
+// ----------------- LMS simulator (public/lms.html) -----------------
+// packages from /package (target "lms") or an uploaded zip; the SCORM API runs in the browser
+// (public/js/lms-runtime.js), commits are stored here per simulated learner
+const lmsSimulator = createLmsSimulator({ root: tmpRoot, artifacts, ttlMs: LMS_TTL_MS });
+
+const simulatorLaunch = (info) => ({ ...info, launch: `/lms.html?package=${info.id}` });
+
+function sendLmsError(res, err) {
+    if (err instanceof LmsSimulatorError) return res.status(err.status).send(err.message);
+    console.error("LMS simulator error:", err);
+    res.status(500).send("LMS simulator error: " + (err.message || err));
+}
+
+app.post("/lms/packages", upload.single("file"), async (req, res) => {
+    if (!req.file) return res.status(400).send("No file uploaded");
+    try {
+        res.json(simulatorLaunch(await lmsSimulator.importZip(req.file.path)));
+    } catch (err) {
+        sendLmsError(res, err);
+    } finally {
+        fs.rm(req.file.path, { force: true }).catch(() => { });
+    }
+});
+
+app.get("/lms/packages/:id", async (req, res) => {
+    try { res.json(simulatorLaunch(await lmsSimulator.info(req.params.id))); } catch (err) { sendLmsError(res, err); }
+});
+
+app.get("/lms/packages/:id/content/*", (req, res) => {
+    try {
+        const filePath = lmsSimulator.contentPath(req.params.id, req.params[0]);
+        if (!filePath) return res.status(404).send("Not found");
+        res.sendFile(filePath, (err) => { if (err && !res.headersSent) res.status(404).send("Not found"); });
+    } catch (err) {
+        sendLmsError(res, err);
+    }
+});
+
+app.get("/lms/packages/:id/learners", async (req, res) => {
+    try { res.json(await lmsSimulator.learners(req.params.id)); } catch (err) { sendLmsError(res, err); }
+});
+
+app.get("/lms/packages/:id/learners/:learner", async (req, res) => {
+    try { res.json(await lmsSimulator.learnerState(req.params.id, req.params.learner)); } catch (err) { sendLmsError(res, err); }
+});
+
+app.put("/lms/packages/:id/learners/:learner/:sco", async (req, res) => {
+    try {
+        await lmsSimulator.saveState(req.params.id, req.params.learner, req.params.sco, req.body);
+        res.status(204).end();
+    } catch (err) {
+        sendLmsError(res, err);
+    }
+});
+
+app.delete("/lms/packages/:id/learners/:learner", async (req, res) => {
+    try {
+        await lmsSimulator.resetLearner(req.params.id, req.params.learner);
+        res.status(204).end();
+    } catch (err) {
+        sendLmsError(res, err);
+    }
+});
 
 // ----------------- simple health check -----------------
 app.get("/healthz", (req, res) => res.send("ok"));